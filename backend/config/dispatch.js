@@ -0,0 +1,10 @@
+// Driver dispatch settings
+module.exports = {
+  // How long a driver has to answer an offer before it goes to the next drivers
+  offerTimeoutSeconds: Number(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS || 45),
+  // Drivers offered an order at once, nearest first
+  offersPerRound: Number(process.env.DISPATCH_OFFERS_PER_ROUND || 3),
+  maxDistanceKm: Number(process.env.DISPATCH_MAX_DISTANCE_KM || 10),
+  // Online drivers that have not reported a location for this long are not offered orders
+  locationMaxAgeMinutes: Number(process.env.DISPATCH_LOCATION_MAX_AGE_MINUTES || 10),
+}
@@ -0,0 +1,14 @@
+// Payment settings
+module.exports = {
+  // Provider registered in services/payments that takes card and digital wallet payments
+  provider: process.env.PAYMENTS_PROVIDER || "sandbox",
+  currency: process.env.PAYMENTS_CURRENCY || "ARS",
+  // Orders whose payment is still unconfirmed after this long are cancelled
+  authorizationTimeoutMinutes: Number(process.env.PAYMENTS_AUTHORIZATION_TIMEOUT_MINUTES || 15),
+  // Webhook signatures older than this are refused
+  webhookToleranceSeconds: Number(process.env.PAYMENTS_WEBHOOK_TOLERANCE_SECONDS || 300),
+  // Cash discrepancies up to this much are not flagged when reconciling a driver's shift
+  cashDiscrepancyTolerance: Number(process.env.PAYMENTS_CASH_DISCREPANCY_TOLERANCE || 1),
+  // How long the sandbox takes to confirm a `sandbox_delayed` payment
+  sandboxConfirmationSeconds: Number(process.env.PAYMENTS_SANDBOX_CONFIRMATION_SECONDS || 20),
+}
@@ -0,0 +1,19 @@
+// Platform-wide pricing defaults. Stores can override the rates in `store.pricing`.
+module.exports = {
+  taxRate: Number(process.env.PRICING_TAX_RATE || 0.1),
+  serviceFeeRate: Number(process.env.PRICING_SERVICE_FEE_RATE || 0.05),
+  // Delivery fee is the store's base fee plus this much per km beyond the included distance
+  deliveryFeePerKm: Number(process.env.PRICING_DELIVERY_FEE_PER_KM || 0.75),
+  includedDeliveryKm: Number(process.env.PRICING_INCLUDED_DELIVERY_KM || 2),
+  // Charged on orders below the store's minimum instead of refusing them; 0 keeps the minimum mandatory
+  smallOrderFee: Number(process.env.PRICING_SMALL_ORDER_FEE || 0),
+  // The delivery fee is multiplied by `surgeMultiplier` while orders waiting for a driver
+  // outnumber available drivers by more than `surgeDemandRatio`
+  surgeDemandRatio: Number(process.env.PRICING_SURGE_DEMAND_RATIO || 2),
+  surgeMultiplier: Number(process.env.PRICING_SURGE_MULTIPLIER || 1.5),
+  // Monetary value of one loyalty point and the share of the subtotal points can pay for
+  loyaltyPointValue: Number(process.env.PRICING_LOYALTY_POINT_VALUE || 0.1),
+  maxLoyaltyRedemptionRate: Number(process.env.PRICING_MAX_LOYALTY_REDEMPTION_RATE || 0.5),
+  // Platform commission on what customers pay for the items, unless the store or its category sets one
+  commissionRate: Number(process.env.PRICING_COMMISSION_RATE || 0.15),
+}
@@ -0,0 +1,6 @@
+const { generateStatements } = require("../services/payouts")
+
+// Close last week's payout statements; stores whose statement exists already are skipped
+const generatePayoutStatements = () => generateStatements(new Date())
+
+module.exports = generatePayoutStatements
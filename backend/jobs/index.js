@@ -0,0 +1,28 @@
+const cron = require("node-cron")
+const releaseScheduledOrders = require("./releaseScheduledOrders")
+const resumePausedStores = require("./resumePausedStores")
+const syncPendingPayments = require("./syncPendingPayments")
+const generatePayoutStatements = require("./generatePayoutStatements")
+const { expireOffers } = require("../services/dispatch")
+
+// Run a job without letting a failure stop the schedule
+const runJob = (name, job) => async () => {
+  try {
+    await job()
+  } catch (error) {
+    console.error(`${name} job error:`, error)
+  }
+}
+
+// Schedule the background jobs of the API server
+const startJobs = (io) => {
+  cron.schedule("* * * * *", runJob("Release scheduled orders", () => releaseScheduledOrders(io)))
+  cron.schedule("* * * * *", runJob("Resume paused stores", () => resumePausedStores(io)))
+  cron.schedule("*/15 * * * * *", runJob("Sync pending payments", () => syncPendingPayments(io)))
+  // Every 15 seconds, so offers time out close to DISPATCH_OFFER_TIMEOUT_SECONDS
+  cron.schedule("*/15 * * * * *", runJob("Expire dispatch offers", () => expireOffers(io)))
+  // Hourly, so each store's statement follows soon after its week ends in its own timezone
+  cron.schedule("5 * * * *", runJob("Generate payout statements", generatePayoutStatements))
+}
+
+module.exports = { startJobs }
@@ -0,0 +1,28 @@
+const Order = require("../models/Order")
+const { transitionOrder } = require("../services/orderStatus")
+const { announceOrder } = require("../services/orderPlacement")
+const { autoAcceptOrder } = require("../services/storeCapacity")
+
+// Move scheduled orders whose release time has come into the store's pending queue (confirmed for auto-accept stores)
+const releaseScheduledOrders = async (io) => {
+  const dueOrders = await Order.find({
+    status: "scheduled",
+    "timing.releaseAt": { $lte: new Date() },
+  })
+    .populate("customer", "name")
+    .populate("store", "settings")
+
+  for (const order of dueOrders) {
+    try {
+      await transitionOrder(order, "pending", { role: "system", reason: "Scheduled order released", io })
+      await autoAcceptOrder(order, order.store, { io })
+      announceOrder(io, order, order.customer)
+    } catch (error) {
+      console.error(`Release scheduled order ${order._id} error:`, error)
+    }
+  }
+
+  return dueOrders.length
+}
+
+module.exports = releaseScheduledOrders
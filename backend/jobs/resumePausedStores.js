@@ -0,0 +1,22 @@
+const Store = require("../models/Store")
+const { resumeStore } = require("../services/storeAvailability")
+
+// Lift temporary pauses whose end time has passed
+const resumePausedStores = async (io) => {
+  const dueStores = await Store.find({
+    "settings.acceptOrders": false,
+    "settings.pausedUntil": { $lte: new Date() },
+  }).select("settings.pausedUntil")
+
+  for (const store of dueStores) {
+    try {
+      await resumeStore(store._id, { io, pausedUntil: store.settings.pausedUntil })
+    } catch (error) {
+      console.error(`Resume store ${store._id} error:`, error)
+    }
+  }
+
+  return dueStores.length
+}
+
+module.exports = resumePausedStores
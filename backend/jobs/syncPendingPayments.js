@@ -0,0 +1,62 @@
+const Order = require("../models/Order")
+const PaymentIntent = require("../models/PaymentIntent")
+const paymentsConfig = require("../config/payments")
+const { getOrderPayment, syncAuthorization } = require("../services/payments")
+const { settleAwaitingOrder, cancelUnpaidOrder } = require("../services/orderPlacement")
+const { settleDeliveredOrder } = require("../services/orderStatus")
+
+// Settle orders waiting for their payment: release them to the store once the provider confirms the
+// authorization, cancel them when it is declined or not confirmed within the authorization timeout.
+// Also retries the captures of delivered orders that failed.
+const syncPendingPayments = async (io) => {
+  const timeoutAt = new Date(Date.now() - paymentsConfig.authorizationTimeoutMinutes * 60 * 1000)
+  const orders = await Order.find({ status: "awaiting_payment" })
+    .populate("customer", "name")
+    .populate("store", "settings")
+
+  for (const order of orders) {
+    try {
+      let payment = await getOrderPayment(order)
+      if (payment && payment.status === "pending") {
+        payment = await syncAuthorization(payment, order)
+      }
+
+      // Orders still being placed have no settled payment yet and only time out
+      if (!(await settleAwaitingOrder(order, payment, io))) {
+        if (order.createdAt > timeoutAt) continue
+        // Settled meanwhile by a webhook
+        if (!(await cancelUnpaidOrder(order, "Payment was not confirmed in time", io))) continue
+      }
+
+      io.to(`order-${order._id}`).emit("payment-updated", {
+        orderId: order._id,
+        paymentStatus: order.paymentInfo.status,
+        status: order.status,
+      })
+    } catch (error) {
+      console.error(`Sync payment of order ${order._id} error:`, error)
+    }
+  }
+
+  await retryFailedCaptures()
+
+  return orders.length
+}
+
+// Capture again the payments of delivered orders whose capture failed, and book those orders in the ledger
+const retryFailedCaptures = async () => {
+  const intents = await PaymentIntent.find({ captureFailedAt: { $ne: null } })
+
+  for (const intent of intents) {
+    try {
+      const order = await Order.findById(intent.order)
+      // Payments voided or failed meanwhile were never taken and are not booked
+      if (order && ["authorized", "captured"].includes(intent.status)) await settleDeliveredOrder(order)
+      await PaymentIntent.updateOne({ _id: intent._id }, { $unset: { captureFailedAt: 1 } })
+    } catch (error) {
+      console.error(`Capture payment of order ${intent.order} error:`, error)
+    }
+  }
+}
+
+module.exports = syncPendingPayments
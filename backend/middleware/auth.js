@@ -1,6 +1,14 @@
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
 
+// Resolve the active user a JWT belongs to. Throws when the token is invalid, returns null for unknown
+// or inactive users. Shared by `protect` and the Socket.IO handshake.
+const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || "your-secret-key")
+  const user = await User.findById(decoded.userId).select("-password")
+  return user && user.isActive ? user : null
+}
+
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
   try {
@@ -19,13 +27,10 @@ const protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || "your-secret-key")
-
-      // Get user from token
-      const user = await User.findById(decoded.userId).select("-password")
+      // Verify token and get user from it
+      const user = await getUserFromToken(token)
 
-      if (!user || !user.isActive) {
+      if (!user) {
         return res.status(401).json({
           success: false,
           message: "Not authorized, user not found or inactive",
@@ -71,6 +76,7 @@ const authorize = (...roles) => {
 }
 
 module.exports = {
+  getUserFromToken,
   protect,
   authorize,
 }
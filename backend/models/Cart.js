@@ -1,4 +1,14 @@
 const mongoose = require("mongoose")
+const Store = require("./Store")
+const Product = require("./Product")
+const Coupon = require("./Coupon")
+const {
+  buildOrderItem,
+  calculatePricing,
+  checkCouponApplicability,
+  getDeliveryContext,
+  getUnitPrice,
+} = require("../services/pricing")
 
 const cartItemSchema = new mongoose.Schema({
   product: {
@@ -67,6 +77,10 @@ const cartSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    smallOrderFee: {
+      type: Number,
+      default: 0,
+    },
     serviceFee: {
       type: Number,
       default: 0,
@@ -79,6 +93,14 @@ const cartSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    pricingBreakdown: [
+      {
+        _id: false,
+        code: String,
+        label: String,
+        amount: Number,
+      },
+    ],
     
     // Applied coupon
     appliedCoupon: {
@@ -94,6 +116,7 @@ const cartSchema = new mongoose.Schema(
     deliveryAddress: {
       label: String,
       street: String,
+      number: String,
       city: String,
       state: String,
       zipCode: String,
@@ -103,6 +126,11 @@ const cartSchema = new mongoose.Schema(
         lng: Number,
       },
       instructions: String,
+      validation: {
+        status: String,
+        distanceMeters: Number,
+        checkedAt: Date,
+      },
     },
     
     // Timing
@@ -117,6 +145,12 @@ const cartSchema = new mongoose.Schema(
       default: true,
     },
     
+    // Order created when the cart was checked out
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    
     // Expiration (carts expire after 24 hours of inactivity)
     expiresAt: {
       type: Date,
@@ -130,7 +164,8 @@ const cartSchema = new mongoose.Schema(
 )
 
 // Indexes
-cartSchema.index({ user: 1, store: 1 }, { unique: true })
+// Only one active cart per user and store; checked-out carts are kept inactive
+cartSchema.index({ user: 1, store: 1 }, { unique: true, partialFilterExpression: { isActive: true } })
 cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
 
 // Update expiration on each modification
@@ -139,22 +174,68 @@ cartSchema.pre("save", function (next) {
   next()
 })
 
-// Calculate totals before saving
-cartSchema.pre("save", function (next) {
-  // Calculate subtotal
-  this.subtotal = this.items.reduce((sum, item) => sum + item.totalPrice, 0)
-  
-  // Calculate tax (assuming 10% tax rate, should be configurable)
-  this.tax = Math.round(this.subtotal * 0.1 * 100) / 100
-  
-  // Service fee (small percentage, should be configurable)
-  this.serviceFee = Math.round(this.subtotal * 0.02 * 100) / 100
-  
-  // Calculate total
-  this.total = this.subtotal + this.tax + this.deliveryFee + this.serviceFee - this.discount
-  this.total = Math.round(this.total * 100) / 100
-  
-  next()
+// Calculate totals before saving with the shared pricing engine
+cartSchema.pre("save", async function () {
+  if (this.items.length === 0) {
+    this.subtotal = 0
+    this.tax = 0
+    this.deliveryFee = 0
+    this.smallOrderFee = 0
+    this.serviceFee = 0
+    this.discount = 0
+    this.total = 0
+    this.pricingBreakdown = []
+    return
+  }
+
+  const store = this.populated("store") ? this.store : await Store.findById(this.store)
+  if (!store) return
+
+  // Lines are priced from the current catalogue, not the prices stored on the items. Items whose product is
+  // gone or no longer offers their options are left out; checkout reports them.
+  const products = await Product.find({ _id: { $in: this.items.map((item) => item.product._id || item.product) } })
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]))
+  const lines = []
+  for (const item of this.items) {
+    const product = productsById.get((item.product._id || item.product).toString())
+    if (!product) continue
+    try {
+      const orderItem = buildOrderItem(product, this.constructor.toOrderLine(item))
+      lines.push({ product: product._id, quantity: item.quantity, unitPrice: getUnitPrice(orderItem) })
+    } catch (error) {
+      if (!error.statusCode) throw error
+    }
+  }
+
+  // Re-check the applied coupon against the current cart contents
+  let coupon = null
+  let couponEligibleAmount
+  if (this.appliedCoupon && this.appliedCoupon.couponId) {
+    coupon = await Coupon.findById(this.appliedCoupon.couponId)
+    const applicability = coupon && checkCouponApplicability(coupon, store, lines)
+    if (applicability && applicability.valid) {
+      couponEligibleAmount = applicability.eligibleAmount
+    } else {
+      coupon = null
+    }
+  }
+
+  const coordinates = this.deliveryAddress && this.deliveryAddress.coordinates
+  const { distanceKm, zone, surgeMultiplier } = await getDeliveryContext(store, coordinates)
+
+  const pricing = calculatePricing({ store, lines, distanceKm, zone, surgeMultiplier, coupon, couponEligibleAmount })
+
+  this.subtotal = pricing.subtotal
+  this.tax = pricing.tax
+  this.deliveryFee = pricing.deliveryFee
+  this.smallOrderFee = pricing.smallOrderFee
+  this.serviceFee = pricing.serviceFee
+  this.discount = pricing.discount
+  this.total = pricing.total
+  this.pricingBreakdown = pricing.breakdown
+  if (coupon) {
+    this.appliedCoupon.discountAmount = pricing.discount
+  }
 })
 
 // Method to add item to cart
@@ -228,6 +309,18 @@ cartSchema.methods.removeCoupon = function () {
   return this.save()
 }
 
+// Order line ({ productId, quantity, options, addons }) for a cart item, as the pricing engine and
+// order placement take it
+cartSchema.statics.toOrderLine = (item) => ({
+  productId: item.product._id || item.product,
+  quantity: item.quantity,
+  options: (item.customizations || []).flatMap((customization) =>
+    (customization.options || []).map((choice) => ({ name: customization.name, choice })),
+  ),
+  addons: item.addons || [],
+  specialInstructions: item.specialInstructions,
+})
+
 // Static method to get or create cart for user and store
 cartSchema.statics.getOrCreateCart = async function (userId, storeId) {
   let cart = await this.findOne({ user: userId, store: storeId, isActive: true })
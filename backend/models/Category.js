@@ -53,6 +53,11 @@ const categorySchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    commissionRate: {
+      type: Number,
+      min: 0,
+      max: 1,
+    }, // platform commission for its stores, overriding the platform default
     seo: {
       metaTitle: String,
       metaDescription: String,
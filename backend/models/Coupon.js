@@ -216,6 +216,70 @@ couponSchema.methods.calculateDiscount = function (orderAmount, deliveryFee = 0)
   return Math.round(discount * 100) / 100 // Round to 2 decimal places
 }
 
+// Method to check if coupon applies to a store and its order lines.
+// Returns the amount the discount is calculated on (only matching products when restricted).
+couponSchema.methods.checkApplicability = function (store, items) {
+  if (this.applicableStores.length > 0 && !this.applicableStores.some((id) => id.equals(store._id))) {
+    return { valid: false, reason: "Coupon not applicable to this store" }
+  }
+
+  if (
+    this.applicableCategories.length > 0 &&
+    !this.applicableCategories.some((id) => id.equals(store.category._id || store.category))
+  ) {
+    return { valid: false, reason: "Coupon not applicable to this store category" }
+  }
+
+  let eligibleItems = items
+  if (this.applicableProducts.length > 0) {
+    eligibleItems = items.filter((item) => this.applicableProducts.some((id) => id.equals(item.product)))
+    if (eligibleItems.length === 0) {
+      return { valid: false, reason: "Coupon not applicable to these products" }
+    }
+  }
+
+  const eligibleAmount = eligibleItems.reduce((sum, item) => sum + item.lineTotal, 0)
+  return { valid: true, eligibleAmount }
+}
+
+// Atomically record a usage, re-checking the global and per-user limits in the same update.
+// Resolves to null when a limit was reached in the meantime.
+couponSchema.statics.reserveUsage = function (couponId, userId, orderId, discountApplied) {
+  return this.findOneAndUpdate(
+    {
+      _id: couponId,
+      isActive: true,
+      $and: [
+        { $or: [{ maxUsage: null }, { $expr: { $lt: ["$usageCount", "$maxUsage"] } }] },
+        {
+          $expr: {
+            $lt: [
+              { $size: { $filter: { input: "$usedBy", cond: { $eq: ["$$this.user", userId] } } } },
+              "$maxUsagePerUser",
+            ],
+          },
+        },
+      ],
+    },
+    {
+      $inc: { usageCount: 1 },
+      $push: { usedBy: { user: userId, order: orderId, discountApplied } },
+    },
+    { new: true },
+  )
+}
+
+// Release the usage recorded for an order (e.g. when it is cancelled)
+couponSchema.statics.releaseUsage = function (couponId, orderId) {
+  return this.updateOne(
+    { _id: couponId, "usedBy.order": orderId },
+    {
+      $inc: { usageCount: -1 },
+      $pull: { usedBy: { order: orderId } },
+    },
+  )
+}
+
 // Method to use coupon
 couponSchema.methods.useCoupon = function (userId, orderId, discountApplied) {
   this.usageCount += 1
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose")
+
+// Capacity bookkeeping for one scheduled delivery time slot of a store
+const deliverySlotSchema = new mongoose.Schema(
+  {
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Store",
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    capacity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+deliverySlotSchema.index({ store: 1, startsAt: 1 }, { unique: true })
+
+// Remaining orders the slot can take
+deliverySlotSchema.virtual("remaining").get(function () {
+  return Math.max(0, this.capacity - this.reserved)
+})
+
+module.exports = mongoose.model("DeliverySlot", deliverySlotSchema)
@@ -0,0 +1,117 @@
+const mongoose = require("mongoose")
+const { distanceKm, fromGeoJSON } = require("../utils/geo")
+
+// An area drawn as a GeoJSON polygon: a store's delivery zone with its own fee, minimum order and ETA,
+// or a platform-level exclusion where no store delivers (no store, kind "exclusion")
+const deliveryZoneSchema = new mongoose.Schema(
+  {
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Store",
+      required: function () {
+        return this.kind === "delivery"
+      },
+    },
+    kind: {
+      type: String,
+      enum: ["delivery", "exclusion"],
+      default: "delivery",
+    },
+    name: {
+      type: String,
+      required: [true, "Zone name is required"],
+      trim: true,
+      maxlength: [100, "Zone name cannot exceed 100 characters"],
+    },
+    area: {
+      type: {
+        type: String,
+        enum: ["Polygon", "MultiPolygon"],
+        required: true,
+      },
+      coordinates: {
+        type: Array,
+        required: true,
+      },
+    },
+    // Zone overrides of the store's deliveryInfo; unset values fall back to the store's
+    deliveryFee: {
+      type: Number,
+      min: 0,
+    },
+    minimumOrder: {
+      type: Number,
+      min: 0,
+    },
+    estimatedDeliveryTime: {
+      min: Number,
+      max: Number,
+    },
+    reason: String, // shown to customers for exclusions
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+deliveryZoneSchema.index({ area: "2dsphere" })
+deliveryZoneSchema.index({ store: 1, kind: 1, isActive: 1 })
+
+const toPoint = ({ lat, lng }) => ({ type: "Point", coordinates: [lng, lat] })
+
+// Active zones of a kind containing a point
+deliveryZoneSchema.statics.findContaining = function (coordinates, filter = {}) {
+  return this.find({
+    ...filter,
+    isActive: true,
+    area: { $geoIntersects: { $geometry: toPoint(coordinates) } },
+  })
+}
+
+// Whether a store delivers to a point, and through which zone. Platform exclusions win; stores that
+// have delivery zones deliver inside them only, others within `deliveryInfo.deliveryRadius`.
+deliveryZoneSchema.statics.getCoverage = async function (store, coordinates) {
+  const [coverage] = await this.getCoverageForStores([store], coordinates)
+  return coverage
+}
+
+// Coverage of a point for several stores (documents or plain objects), in the same order, with three queries
+deliveryZoneSchema.statics.getCoverageForStores = async function (stores, coordinates) {
+  const storeIds = stores.map((store) => store._id)
+
+  const [exclusion] = await this.findContaining(coordinates, { kind: "exclusion" }).limit(1)
+  if (exclusion) {
+    return stores.map(() => ({ canDeliver: false, zone: null, reason: exclusion.reason || "excluded_area" }))
+  }
+
+  // Cheapest zone first when a store's zones overlap
+  const containing = await this.findContaining(coordinates, { kind: "delivery", store: { $in: storeIds } }).sort({
+    deliveryFee: 1,
+  })
+  const zoned = new Set(
+    (await this.distinct("store", { kind: "delivery", isActive: true, store: { $in: storeIds } })).map(String),
+  )
+
+  return stores.map((store) => {
+    const id = store._id.toString()
+    if (zoned.has(id)) {
+      const zone = containing.find((candidate) => candidate.store.toString() === id) || null
+      return { canDeliver: Boolean(zone), zone, ...(!zone && { reason: "outside_delivery_zones" }) }
+    }
+
+    const withinRadius =
+      distanceKm(fromGeoJSON(store.location.coordinates), coordinates) <= store.deliveryInfo.deliveryRadius
+    return { canDeliver: withinRadius, zone: null, ...(!withinRadius && { reason: "outside_delivery_radius" }) }
+  })
+}
+
+module.exports = mongoose.model("DeliveryZone", deliveryZoneSchema)
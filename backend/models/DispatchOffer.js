@@ -0,0 +1,39 @@
+const mongoose = require("mongoose")
+
+// An order offered to a driver, who can accept or decline it until it expires
+const dispatchOfferSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "expired", "cancelled"],
+      default: "pending",
+    },
+    distanceKm: Number, // driver to store when offered
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: Date,
+    declineReason: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+dispatchOfferSchema.index({ order: 1, status: 1 })
+dispatchOfferSchema.index({ status: 1, expiresAt: 1 })
+dispatchOfferSchema.index({ driver: 1, status: 1 })
+
+module.exports = mongoose.model("DispatchOffer", dispatchOfferSchema)
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose")
+
+// Cash a driver collected for one cash order
+const cashCollectionSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: String,
+    expected: { type: Number, required: true }, // order total due
+    received: { type: Number, required: true },
+    changeGiven: { type: Number, default: 0 },
+    collected: { type: Number, required: true }, // received less change
+    discrepancy: { type: Number, default: 0 }, // collected less expected
+    recordedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+)
+
+// A driver's working period, from going online until an admin closes it, with the cash the driver holds
+const driverShiftSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "closed"],
+      default: "open",
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    closedAt: Date,
+    openingFloat: {
+      type: Number,
+      default: 0,
+      min: 0,
+    }, // change the driver started with
+    collections: [cashCollectionSchema],
+    // Running totals: the cash the driver should hold, and what the orders were worth
+    cashBalance: {
+      type: Number,
+      default: 0,
+    },
+    expectedCash: {
+      type: Number,
+      default: 0,
+    },
+    reconciliation: {
+      countedCash: Number,
+      expectedCash: Number, // opening float plus the totals of the cash orders delivered
+      discrepancy: Number, // counted less expected
+      result: {
+        type: String,
+        enum: ["balanced", "short", "over"],
+      },
+      flagged: Boolean, // discrepancy beyond the tolerance, or an order collected short or over
+      note: String,
+      closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+driverShiftSchema.index({ driver: 1 }, { unique: true, partialFilterExpression: { status: "open" } })
+driverShiftSchema.index({ driver: 1, startedAt: -1 })
+driverShiftSchema.index({ status: 1, "reconciliation.flagged": 1, closedAt: -1 })
+
+module.exports = mongoose.model("DriverShift", driverShiftSchema)
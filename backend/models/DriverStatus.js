@@ -0,0 +1,45 @@
+const mongoose = require("mongoose")
+
+// Availability and last known position of a delivery driver
+const driverStatusSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    isOnline: {
+      type: Boolean,
+      default: false,
+    },
+    // Unset until the first location report, so the 2dsphere index skips the document
+    location: {
+      type: {
+        type: String,
+        enum: ["Point"],
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined,
+      },
+    },
+    lastLocationAt: Date,
+    // Order the driver is currently delivering, null when free
+    activeOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    lastOnlineAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+driverStatusSchema.index({ location: "2dsphere" })
+driverStatusSchema.index({ isOnline: 1, activeOrder: 1 })
+
+module.exports = mongoose.model("DriverStatus", driverStatusSchema)
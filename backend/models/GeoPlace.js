@@ -0,0 +1,55 @@
+const mongoose = require("mongoose")
+
+// An entry of the local geocoding dataset: a street segment with its house number range,
+// drawn as a line from the lowest to the highest number, or a locality's centre point
+const geoPlaceSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["street", "locality"],
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    normalizedName: {
+      type: String,
+      required: true,
+    },
+    locality: String, // the street's city or town
+    normalizedLocality: String,
+    state: String,
+    country: {
+      type: String,
+      default: "Argentina",
+    },
+    geometry: {
+      type: {
+        type: String,
+        enum: ["Point", "LineString"],
+        required: true,
+      },
+      coordinates: {
+        type: Array,
+        required: true,
+      },
+    },
+    numbers: {
+      from: Number,
+      to: Number,
+    },
+    source: String, // dataset file it was imported from
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+geoPlaceSchema.index({ geometry: "2dsphere" })
+geoPlaceSchema.index({ kind: 1, normalizedName: 1, normalizedLocality: 1 })
+geoPlaceSchema.index({ source: 1 })
+
+module.exports = mongoose.model("GeoPlace", geoPlaceSchema)
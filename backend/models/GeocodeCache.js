@@ -0,0 +1,33 @@
+const mongoose = require("mongoose")
+
+// Cached geocoding results, per provider and query, removed by MongoDB once expired
+const geocodeCacheSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    results: {
+      type: mongoose.Schema.Types.Mixed,
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+geocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+geocodeCacheSchema.index({ provider: 1 })
+
+module.exports = mongoose.model("GeocodeCache", geocodeCacheSchema)
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose")
+
+// Accounts of the double-entry ledger
+const ACCOUNTS = [
+  "customer_payments", // Money collected from customers, by card, wallet or cash
+  "merchant_payable", // Owed to stores
+  "delivery_fees", // Platform revenue from delivery fees
+  "service_fees", // Platform revenue from service and small-order fees
+  "platform_commission", // Platform revenue from the commission on store sales
+  "tax", // Tax collected, to be remitted
+  "store_payouts", // Paid out to stores
+]
+
+// One line of a ledger journal. The lines of a journal share its ID and their debits equal their credits.
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    journal: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["order", "refund", "payout"],
+      required: true,
+    },
+    account: {
+      type: String,
+      enum: ACCOUNTS,
+      required: true,
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Store",
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Refund",
+    },
+    payoutStatement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PayoutStatement",
+    },
+    description: String,
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+ledgerEntrySchema.index({ journal: 1 })
+ledgerEntrySchema.index({ store: 1, account: 1, occurredAt: 1 })
+ledgerEntrySchema.index({ store: 1, occurredAt: 1 })
+ledgerEntrySchema.index({ order: 1 })
+
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema)
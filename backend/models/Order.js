@@ -1,4 +1,70 @@
+const crypto = require("crypto")
 const mongoose = require("mongoose")
+const ErrorResponse = require("../utils/errorResponse")
+
+// Allowed status transitions and the actors that may perform each one.
+// Actors are relative to the order: its customer, the owner of its store,
+// its assigned delivery driver, an admin, or the system itself (jobs, payment callbacks).
+const STATUS_TRANSITIONS = {
+  awaiting_payment: {
+    pending: ["system"],
+    scheduled: ["system"],
+    cancelled: ["customer", "admin", "system"],
+  },
+  scheduled: {
+    pending: ["admin", "system"],
+    cancelled: ["customer", "store", "admin", "system"],
+  },
+  pending: {
+    confirmed: ["store", "admin", "system"],
+    cancelled: ["customer", "store", "admin", "system"],
+  },
+  confirmed: {
+    preparing: ["store", "admin"],
+    cancelled: ["customer", "store", "admin", "system"],
+  },
+  preparing: {
+    ready: ["store", "admin"],
+    cancelled: ["store", "admin"],
+  },
+  ready: {
+    on_way: ["driver", "admin"],
+    cancelled: ["admin"],
+  },
+  on_way: {
+    delivered: ["driver", "admin"],
+    delivery_failed: ["driver", "admin"],
+  },
+  delivery_failed: {
+    on_way: ["admin"],
+    cancelled: ["admin"],
+    refunded: ["admin"],
+  },
+  delivered: {
+    refunded: ["system"], // only through a refund, which moves the money and records it
+  },
+  cancelled: {
+    refunded: ["admin"],
+  },
+  refunded: {},
+}
+
+// One recomputation of the delivery ETA, kept to measure estimate accuracy
+const etaSnapshotSchema = new mongoose.Schema(
+  {
+    eta: { type: Date, required: true },
+    remainingMinutes: Number,
+    status: String, // order status when computed
+    source: {
+      type: String,
+      enum: ["placement", "status", "location"],
+    },
+    distanceKm: Number, // remaining distance
+    speedKmh: Number,
+    computedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+)
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -16,9 +82,36 @@ const orderItemSchema = new mongoose.Schema({
       price: Number,
     },
   ],
+  addons: [
+    {
+      name: String,
+      price: Number,
+      quantity: { type: Number, default: 1 },
+    },
+  ],
   specialInstructions: String,
+  refundedQuantity: { type: Number, default: 0 },
 })
 
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: String,
+    to: { type: String, required: true },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    role: {
+      type: String,
+      enum: ["customer", "store", "driver", "admin", "system"],
+      required: true,
+    },
+    reason: String,
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+)
+
 const orderSchema = new mongoose.Schema(
   {
     orderNumber: {
@@ -40,19 +133,24 @@ const orderSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: [
+        "awaiting_payment", // Card or wallet order waiting for the payment to be authorized
+        "scheduled", // Order placed for a future slot, not yet released to the store
         "pending", // Order placed, waiting for store confirmation
         "confirmed", // Store confirmed the order
         "preparing", // Store is preparing the order
         "ready", // Order is ready for pickup/delivery
         "on_way", // Driver picked up the order
         "delivered", // Order delivered successfully
+        "delivery_failed", // Driver could not deliver the order
         "cancelled", // Order cancelled
         "refunded", // Order refunded
       ],
       default: "pending",
     },
+    statusHistory: [statusHistorySchema],
     deliveryAddress: {
       street: { type: String, required: true },
+      number: String,
       city: { type: String, required: true },
       state: { type: String, required: true },
       zipCode: String,
@@ -61,6 +159,12 @@ const orderSchema = new mongoose.Schema(
         lng: { type: Number, required: true },
       },
       instructions: String,
+      // Whether the coordinates matched the address text at checkout
+      validation: {
+        status: { type: String, enum: ["verified", "mismatch", "unverified"] },
+        distanceMeters: Number,
+        checkedAt: Date,
+      },
     },
     contactInfo: {
       phone: { type: String, required: true },
@@ -74,34 +178,58 @@ const orderSchema = new mongoose.Schema(
       },
       status: {
         type: String,
-        enum: ["pending", "paid", "failed", "refunded"],
+        enum: ["pending", "authorized", "paid", "failed", "voided", "refunded"],
         default: "pending",
       },
+      intent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PaymentIntent",
+      },
       transactionId: String,
       paidAt: Date,
     },
     pricing: {
       subtotal: { type: Number, required: true },
-      deliveryFee: { type: Number, default: 0 },
+      deliveryFee: { type: Number, default: 0 }, // including any surge surcharge
+      smallOrderFee: { type: Number, default: 0 },
       serviceFee: { type: Number, default: 0 },
       tax: { type: Number, default: 0 },
       discount: { type: Number, default: 0 },
+      loyaltyDiscount: { type: Number, default: 0 },
       total: { type: Number, required: true },
+      breakdown: [
+        {
+          _id: false,
+          code: String,
+          label: String,
+          amount: Number,
+        },
+      ],
     },
     coupon: {
+      couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+      },
       code: String,
       discount: Number,
-      type: { type: String, enum: ["percentage", "fixed"] },
+      type: { type: String, enum: ["percentage", "fixed", "freeDelivery"] },
     },
     timing: {
       estimatedPreparation: Number, // minutes
       estimatedDelivery: Number, // minutes
       requestedDeliveryTime: Date,
+      releaseAt: Date, // when a scheduled order is released to the store's queue
+      estimatedDeliveryAt: Date, // latest ETA, see etaHistory
       confirmedAt: Date,
       preparedAt: Date,
       pickedUpAt: Date,
       deliveredAt: Date,
     },
+    deliverySlot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliverySlot",
+    },
     driver: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -110,7 +238,24 @@ const orderSchema = new mongoose.Schema(
       lat: Number,
       lng: Number,
       updatedAt: Date,
+      speedKmh: Number, // moving average over recent updates
     },
+    etaHistory: [etaSnapshotSchema],
+    // Code the customer gives the driver at the door, only returned to the customer
+    deliveryPin: {
+      type: String,
+      select: false,
+    },
+    deliveryProof: {
+      method: {
+        type: String,
+        enum: ["pin", "photo"],
+      },
+      photoUrl: String,
+      pinAttempts: { type: Number, default: 0 },
+      recordedAt: Date,
+    },
+    deliveryFailureReason: String,
     rating: {
       food: { type: Number, min: 1, max: 5 },
       delivery: { type: Number, min: 1, max: 5 },
@@ -121,7 +266,17 @@ const orderSchema = new mongoose.Schema(
     notes: String,
     specialInstructions: String,
     cancellationReason: String,
+    // What the driver took for a cash order at delivery
+    cashCollection: {
+      received: Number,
+      changeGiven: Number,
+      collected: Number,
+      shift: { type: mongoose.Schema.Types.ObjectId, ref: "DriverShift" },
+      recordedAt: Date,
+    },
+    commissionRate: Number, // platform commission in force when the order was placed
     refundAmount: Number,
+    refundedDeliveryFee: { type: Number, default: 0 },
     loyaltyPointsEarned: { type: Number, default: 0 },
     loyaltyPointsUsed: { type: Number, default: 0 },
   },
@@ -136,6 +291,9 @@ orderSchema.index({ store: 1, status: 1, createdAt: -1 })
 orderSchema.index({ driver: 1, status: 1 })
 orderSchema.index({ orderNumber: 1 })
 orderSchema.index({ status: 1, createdAt: -1 })
+orderSchema.index({ status: 1, "timing.releaseAt": 1 })
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS
 
 // Generate order number
 orderSchema.pre("save", async function (next) {
@@ -146,15 +304,43 @@ orderSchema.pre("save", async function (next) {
   next()
 })
 
+// Generate the delivery PIN
+orderSchema.pre("save", function (next) {
+  if (this.isNew && !this.deliveryPin) {
+    this.deliveryPin = crypto.randomInt(0, 10000).toString().padStart(4, "0")
+  }
+  next()
+})
+
+// Record the initial status
+orderSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, changedBy: this.customer, role: "customer" })
+  }
+  next()
+})
+
 // Calculate loyalty points earned
 orderSchema.methods.calculateLoyaltyPoints = function () {
   // 1 point per $10 spent
   return Math.floor(this.pricing.total / 10)
 }
 
-// Check if order can be cancelled
+// Check if an actor may move the order to a given status
+orderSchema.methods.canTransitionTo = function (newStatus, role) {
+  const allowedRoles = (STATUS_TRANSITIONS[this.status] || {})[newStatus]
+  return Boolean(allowedRoles && allowedRoles.includes(role))
+}
+
+// Statuses an actor may move the order to from its current status
+orderSchema.methods.getAllowedTransitions = function (role) {
+  const transitions = STATUS_TRANSITIONS[this.status] || {}
+  return Object.keys(transitions).filter((status) => transitions[status].includes(role))
+}
+
+// Check if order can be cancelled by its customer
 orderSchema.methods.canBeCancelled = function () {
-  return ["pending", "confirmed"].includes(this.status)
+  return this.canTransitionTo("cancelled", "customer")
 }
 
 // Check if order can be rated
@@ -162,8 +348,29 @@ orderSchema.methods.canBeRated = function () {
   return this.status === "delivered" && !this.rating.overall
 }
 
-// Update status with timestamp
-orderSchema.methods.updateStatus = function (newStatus) {
+// Update status with timestamp, enforcing the transition table and recording history
+orderSchema.methods.updateStatus = function (newStatus, { changedBy, role = "system", reason } = {}) {
+  const allowedRoles = (STATUS_TRANSITIONS[this.status] || {})[newStatus]
+
+  if (!allowedRoles) {
+    throw new ErrorResponse(`Cannot change order status from ${this.status} to ${newStatus}`, 409, {
+      from: this.status,
+      to: newStatus,
+      allowed: Object.keys(STATUS_TRANSITIONS[this.status] || {}),
+    })
+  }
+
+  if (!allowedRoles.includes(role)) {
+    throw new ErrorResponse(`Not authorized to change order status from ${this.status} to ${newStatus}`, 403)
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: newStatus,
+    changedBy,
+    role,
+    reason,
+  })
   this.status = newStatus
 
   const now = new Date()
@@ -181,6 +388,12 @@ orderSchema.methods.updateStatus = function (newStatus) {
       this.timing.deliveredAt = now
       this.loyaltyPointsEarned = this.calculateLoyaltyPoints()
       break
+    case "delivery_failed":
+      this.deliveryFailureReason = reason
+      break
+    case "cancelled":
+      this.cancellationReason = reason
+      break
   }
 
   return this.save()
@@ -188,6 +401,11 @@ orderSchema.methods.updateStatus = function (newStatus) {
 
 // Get estimated delivery time
 orderSchema.methods.getEstimatedDeliveryTime = function () {
+  // Minutes left according to the live ETA once one has been computed
+  if (this.timing.estimatedDeliveryAt) {
+    return Math.max(0, Math.round((this.timing.estimatedDeliveryAt - Date.now()) / 60000))
+  }
+
   const prep = this.timing.estimatedPreparation || 20
   const delivery = this.timing.estimatedDelivery || 25
   return prep + delivery
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose")
+
+// A webhook event received from a payment provider, stored once per provider event ID so redelivered
+// events are not applied twice
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    reference: String, // the provider's payment ID
+    intent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentIntent",
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    status: {
+      type: String,
+      enum: [
+        "received", // Stored, being applied
+        "processed", // Applied to the payment and order
+        "ignored", // Nothing to apply, see reason
+        "failed", // Applying it errored; applied again when the provider redelivers it
+      ],
+      default: "received",
+    },
+    reason: String,
+    error: String,
+    payload: mongoose.Schema.Types.Mixed,
+    occurredAt: Date,
+    processedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true })
+paymentEventSchema.index({ order: 1, createdAt: -1 })
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema)
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose")
+
+// A payment taken for an order through a payment provider: authorized at checkout,
+// captured when the order is delivered, voided when it is cancelled before that
+const paymentIntentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Store",
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ["card", "digital_wallet"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        "requires_authorization", // Created, not sent to the provider yet
+        "pending", // The provider confirms the authorization later
+        "authorized", // Funds held, not taken yet
+        "captured", // Funds taken
+        "voided", // Authorization released without taking the funds
+        "failed", // Declined or errored
+        "refunded", // Captured funds returned in full
+        "partially_refunded",
+      ],
+      default: "requires_authorization",
+    },
+    providerReference: String, // the provider's ID for this payment
+    providerData: mongoose.Schema.Types.Mixed, // whatever else the provider needs to find the payment again
+    amountCaptured: {
+      type: Number,
+      default: 0,
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+    // Each refund once, by the provider's refund reference
+    refunds: [
+      {
+        amount: { type: Number, required: true },
+        reference: String,
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    failureCode: String,
+    failureMessage: String,
+    authorizedAt: Date,
+    capturedAt: Date,
+    voidedAt: Date,
+    failedAt: Date,
+    // Capturing on delivery failed: the syncPendingPayments job retries until the order is captured and booked
+    captureFailedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+paymentIntentSchema.index({ order: 1, createdAt: -1 })
+paymentIntentSchema.index({ status: 1, createdAt: 1 })
+paymentIntentSchema.index({ provider: 1, providerReference: 1 })
+paymentIntentSchema.index({ captureFailedAt: 1 }, { sparse: true })
+
+module.exports = mongoose.model("PaymentIntent", paymentIntentSchema)
@@ -0,0 +1,94 @@
+const mongoose = require("mongoose")
+
+// One order or refund behind the statement's figures, as recorded in its ledger journal
+const statementLineSchema = new mongoose.Schema(
+  {
+    journal: { type: mongoose.Schema.Types.ObjectId, required: true },
+    type: {
+      type: String,
+      enum: ["order", "refund"],
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    orderNumber: String,
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Refund",
+    },
+    description: String,
+    occurredAt: Date,
+    // Amounts are negative on refunds
+    total: { type: Number, default: 0 }, // paid by the customer
+    tax: { type: Number, default: 0 },
+    deliveryFee: { type: Number, default: 0 },
+    serviceFee: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    net: { type: Number, default: 0 }, // owed to the store
+  },
+  { _id: false },
+)
+
+// What a store earned over a period and is paid out, from the ledger
+const payoutStatementSchema = new mongoose.Schema(
+  {
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Store",
+      required: true,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    }, // exclusive
+    lines: [statementLineSchema],
+    totals: {
+      orders: { type: Number, default: 0 },
+      sales: { type: Number, default: 0 },
+      refunds: { type: Number, default: 0 },
+      tax: { type: Number, default: 0 },
+      deliveryFees: { type: Number, default: 0 },
+      serviceFees: { type: Number, default: 0 },
+      commission: { type: Number, default: 0 },
+      net: { type: Number, default: 0 },
+    },
+    openingBalance: {
+      type: Number,
+      default: 0,
+    }, // negative balance carried over from the previous statement
+    payout: {
+      type: Number,
+      default: 0,
+    },
+    carriedOver: {
+      type: Number,
+      default: 0,
+    }, // negative balance left for the next statement, when refunds exceed earnings
+    status: {
+      type: String,
+      enum: ["pending", "paid", "nothing_due"],
+      default: "pending",
+    },
+    paidAt: Date,
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    payoutReference: String, // bank transfer reference
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+payoutStatementSchema.index({ store: 1, periodEnd: -1 }, { unique: true })
+payoutStatementSchema.index({ status: 1, periodEnd: -1 })
+
+module.exports = mongoose.model("PayoutStatement", payoutStatementSchema)
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose")
+
+// Why an order was refunded
+const REASON_CODES = [
+  "missing_items",
+  "wrong_items",
+  "damaged_items",
+  "quality_issue",
+  "late_delivery",
+  "customer_request",
+  "other",
+]
+
+// Money returned to a customer for a whole order or some of its items
+const refundSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Store",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    items: [
+      {
+        item: mongoose.Schema.Types.ObjectId, // order item
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+        },
+        name: String,
+        quantity: Number,
+        amount: Number, // what the customer paid for these units, discounts and tax included
+      },
+    ],
+    deliveryFee: {
+      type: Number,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    full: {
+      type: Boolean,
+      default: false,
+    },
+    reasonCode: {
+      type: String,
+      enum: REASON_CODES,
+      required: true,
+    },
+    note: String,
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    method: {
+      type: String,
+      enum: ["cash", "card", "digital_wallet"],
+      required: true,
+    },
+    providerReference: String, // the payment provider's refund ID
+    loyaltyPointsReversed: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    role: {
+      type: String,
+      enum: ["store", "admin"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+refundSchema.index({ order: 1, createdAt: -1 })
+refundSchema.index({ store: 1, createdAt: -1 })
+
+refundSchema.statics.REASON_CODES = REASON_CODES
+
+module.exports = mongoose.model("Refund", refundSchema)
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose")
+
+// Days a breadcrumb is kept. Changing it only affects a new collection: an existing one
+// needs `db.runCommand({ collMod: "routebreadcrumbs", expireAfterSeconds })`.
+const RETENTION_DAYS = Number(process.env.ROUTE_BREADCRUMB_RETENTION_DAYS || 30)
+
+// One sampled driver location along an order's delivery, stored in a time-series collection
+const routeBreadcrumbSchema = new mongoose.Schema(
+  {
+    meta: {
+      order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+        required: true,
+      },
+      driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+    },
+    lat: {
+      type: Number,
+      required: true,
+    },
+    lng: {
+      type: Number,
+      required: true,
+    },
+    speedKmh: Number,
+    status: String, // order status when sampled
+    recordedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timeseries: {
+      timeField: "recordedAt",
+      metaField: "meta",
+      granularity: "seconds",
+    },
+    expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+    versionKey: false,
+  },
+)
+
+// Indexes
+routeBreadcrumbSchema.index({ "meta.order": 1, recordedAt: 1 })
+
+module.exports = mongoose.model("RouteBreadcrumb", routeBreadcrumbSchema)
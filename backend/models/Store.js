@@ -1,4 +1,7 @@
 const mongoose = require("mongoose")
+const DeliveryZone = require("./DeliveryZone")
+const { distanceKm, fromGeoJSON } = require("../utils/geo")
+const { DEFAULT_TIMEZONE, isValidTimezone, getOpenStatus } = require("../utils/storeHours")
 
 const operatingHoursSchema = new mongoose.Schema({
   day: {
@@ -11,7 +14,7 @@ const operatingHoursSchema = new mongoose.Schema({
     default: true,
   },
   openTime: String, // "09:00"
-  closeTime: String, // "22:00"
+  closeTime: String, // "22:00", or e.g. "02:00" for a shift that ends after midnight
   breaks: [
     {
       startTime: String,
@@ -20,6 +23,25 @@ const operatingHoursSchema = new mongoose.Schema({
   ],
 })
 
+// Date-specific override of the weekly hours: a public holiday, late opening for an event or a temporary pause
+const hoursExceptionSchema = new mongoose.Schema({
+  date: {
+    type: String, // "2024-07-09", calendar day in the store's timezone
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, "Date must be in YYYY-MM-DD format"],
+  },
+  type: {
+    type: String,
+    enum: ["closed", "custom_hours", "paused"],
+    required: true,
+  },
+  openTime: String, // custom_hours
+  closeTime: String,
+  startTime: String, // paused window, the whole day when omitted
+  endTime: String,
+  reason: String,
+})
+
 const storeSchema = new mongoose.Schema(
   {
     name: {
@@ -81,6 +103,15 @@ const storeSchema = new mongoose.Schema(
       twitter: String,
     },
     operatingHours: [operatingHoursSchema],
+    hoursExceptions: [hoursExceptionSchema],
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimezone,
+        message: "Invalid timezone",
+      },
+    },
     deliveryInfo: {
       deliveryRadius: {
         type: Number,
@@ -97,6 +128,14 @@ const storeSchema = new mongoose.Schema(
         default: 2.5,
       },
       freeDeliveryThreshold: Number,
+      // Distance tiers replacing the per-km fee: the first tier covering the distance applies
+      feeTiers: [
+        {
+          _id: false,
+          upToKm: { type: Number, required: true, min: 0 },
+          fee: { type: Number, required: true, min: 0 },
+        },
+      ],
       estimatedDeliveryTime: {
         min: { type: Number, default: 20 },
         max: { type: Number, default: 45 },
@@ -141,9 +180,21 @@ const storeSchema = new mongoose.Schema(
     totalRevenue: {
       type: Number,
       default: 0,
+    }, // the store's share of delivered orders less refunds, as posted to the ledger
+    // Platform commission set by admins, overriding the category's and the platform default
+    commissionRate: { type: Number, min: 0, max: 1 },
+    // Overrides of the platform pricing defaults (config/pricing.js)
+    pricing: {
+      taxRate: { type: Number, min: 0, max: 1 },
+      serviceFeeRate: { type: Number, min: 0, max: 1 },
+      deliveryFeePerKm: { type: Number, min: 0 },
+      includedDeliveryKm: { type: Number, min: 0 },
+      smallOrderFee: { type: Number, min: 0 },
     },
     settings: {
       acceptOrders: { type: Boolean, default: true },
+      pausedUntil: Date, // incoming orders resume automatically at this time
+      pauseReason: String,
       autoAcceptOrders: { type: Boolean, default: false },
       preparationTime: { type: Number, default: 15 }, // minutes
       maxOrdersPerHour: { type: Number, default: 20 },
@@ -160,36 +211,25 @@ storeSchema.index({ category: 1, isActive: 1 })
 storeSchema.index({ "rating.average": -1 })
 storeSchema.index({ isFeatured: -1, "rating.average": -1 })
 
+// Open/closed status in the store's timezone: { isOpen, closesAt, nextOpenAt }
+storeSchema.methods.getOpenStatus = function (at = new Date()) {
+  return getOpenStatus(this, at)
+}
+
 // Check if store is currently open
 storeSchema.methods.isCurrentlyOpen = function () {
-  const now = new Date()
-  const currentDay = now.toLocaleLowerCase().substring(0, 3) // mon, tue, etc.
-  const currentTime = now.toTimeString().substring(0, 5) // HH:MM
-
-  const todayHours = this.operatingHours.find((hours) => hours.day.startsWith(currentDay))
-
-  if (!todayHours || !todayHours.isOpen) return false
+  return this.getOpenStatus().isOpen
+}
 
-  return currentTime >= todayHours.openTime && currentTime <= todayHours.closeTime
+// Whether the store takes orders for a given time, honouring a temporary pause
+storeSchema.methods.isAcceptingOrders = function (at = new Date()) {
+  if (this.settings.acceptOrders) return true
+  return Boolean(this.settings.pausedUntil) && this.settings.pausedUntil <= at
 }
 
 // Calculate distance from a point
 storeSchema.methods.distanceFrom = function (coordinates) {
-  const [lng, lat] = this.location.coordinates
-  const R = 6371 // Earth's radius in km
-
-  const dLat = ((coordinates.lat - lat) * Math.PI) / 180
-  const dLng = ((coordinates.lng - lng) * Math.PI) / 180
-
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat * Math.PI) / 180) *
-      Math.cos((coordinates.lat * Math.PI) / 180) *
-      Math.sin(dLng / 2) *
-      Math.sin(dLng / 2)
-
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-  return R * c
+  return distanceKm(fromGeoJSON(this.location.coordinates), coordinates)
 }
 
 // Update rating
@@ -200,10 +240,11 @@ storeSchema.methods.updateRating = function (newRating) {
   return this.save()
 }
 
-// Check if location is within delivery radius
-storeSchema.methods.canDeliverTo = function (coordinates) {
-  const distance = this.distanceFrom(coordinates)
-  return distance <= this.deliveryInfo.deliveryRadius
+// Check if location is inside one of the store's delivery zones (or its delivery radius when it has none)
+// and outside the platform's exclusion zones
+storeSchema.methods.canDeliverTo = async function (coordinates) {
+  const coverage = await DeliveryZone.getCoverage(this, coordinates)
+  return coverage.canDeliver
 }
 
 module.exports = mongoose.model("Store", storeSchema)
@@ -10,6 +10,7 @@ const addressSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  number: String, // house number, also part of street
   city: {
     type: String,
     required: true,
@@ -37,6 +38,14 @@ const addressSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  validation: {
+    status: {
+      type: String,
+      enum: ["verified", "mismatch", "unverified"],
+    },
+    distanceMeters: Number, // between the given coordinates and where the text geocodes to
+    checkedAt: Date,
+  },
 })
 
 const userSchema = new mongoose.Schema(
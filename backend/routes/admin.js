@@ -1,8 +1,36 @@
 const express = require("express")
+const { body, param, query, validationResult } = require("express-validator")
+const DeliveryZone = require("../models/DeliveryZone")
+const DriverShift = require("../models/DriverShift")
+const PayoutStatement = require("../models/PayoutStatement")
+const Store = require("../models/Store")
+const Category = require("../models/Category")
 const { protect, authorize } = require("../middleware/auth")
+const { isPolygonGeometry } = require("../utils/geo")
+const { closeShift } = require("../services/driverCash")
+const { markStatementPaid } = require("../services/payouts")
 
 const router = express.Router()
 
+// Validation shared by creating and updating a no-delivery area
+const exclusionValidators = [
+  body("name").trim().isLength({ min: 1, max: 100 }).withMessage("Name must be between 1 and 100 characters"),
+  body("area").custom(isPolygonGeometry).withMessage("Area must be a GeoJSON Polygon or MultiPolygon"),
+  body("reason").optional().trim().isLength({ max: 200 }).withMessage("Reason cannot exceed 200 characters"),
+  body("isActive").optional().isBoolean().withMessage("isActive must be boolean"),
+]
+
+// Pick the editable fields of a no-delivery area
+const toExclusion = ({ name, area, reason, isActive }) => ({
+  name,
+  area: { type: area.type, coordinates: area.coordinates },
+  reason,
+  ...(isActive !== undefined && { isActive }),
+})
+
+// MongoDB refuses polygons it cannot index, e.g. self-intersecting ones
+const isInvalidGeometryError = (error) => error.code === 16755
+
 // @desc    Get admin dashboard data
 // @route   GET /api/admin/dashboard
 // @access  Private (Admin only)
@@ -29,4 +57,489 @@ router.get("/dashboard", protect, authorize("admin"), async (req, res) => {
   }
 })
 
+// @desc    Get platform no-delivery areas
+// @route   GET /api/admin/delivery-exclusions
+// @access  Private (Admin only)
+router.get("/delivery-exclusions", protect, authorize("admin"), async (req, res) => {
+  try {
+    const exclusions = await DeliveryZone.find({ kind: "exclusion" }).sort({ name: 1 })
+
+    res.json({
+      success: true,
+      data: { exclusions },
+    })
+  } catch (error) {
+    console.error("Get delivery exclusions error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Add a platform no-delivery area
+// @route   POST /api/admin/delivery-exclusions
+// @access  Private (Admin only)
+router.post("/delivery-exclusions", protect, authorize("admin"), exclusionValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      })
+    }
+
+    const exclusion = await DeliveryZone.create({
+      ...toExclusion(req.body),
+      kind: "exclusion",
+      createdBy: req.user._id,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "No-delivery area added successfully",
+      data: { exclusion },
+    })
+  } catch (error) {
+    if (isInvalidGeometryError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: "Area is not a valid polygon",
+      })
+    }
+    console.error("Add delivery exclusion error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Update a platform no-delivery area
+// @route   PUT /api/admin/delivery-exclusions/:zoneId
+// @access  Private (Admin only)
+router.put(
+  "/delivery-exclusions/:zoneId",
+  protect,
+  authorize("admin"),
+  [param("zoneId").isMongoId().withMessage("Invalid zone ID"), ...exclusionValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const exclusion = await DeliveryZone.findOne({ _id: req.params.zoneId, kind: "exclusion" })
+      if (!exclusion) {
+        return res.status(404).json({
+          success: false,
+          message: "No-delivery area not found",
+        })
+      }
+
+      exclusion.set(toExclusion(req.body))
+      await exclusion.save()
+
+      res.json({
+        success: true,
+        message: "No-delivery area updated successfully",
+        data: { exclusion },
+      })
+    } catch (error) {
+      if (isInvalidGeometryError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: "Area is not a valid polygon",
+        })
+      }
+      console.error("Update delivery exclusion error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Delete a platform no-delivery area
+// @route   DELETE /api/admin/delivery-exclusions/:zoneId
+// @access  Private (Admin only)
+router.delete(
+  "/delivery-exclusions/:zoneId",
+  protect,
+  authorize("admin"),
+  [param("zoneId").isMongoId().withMessage("Invalid zone ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const exclusion = await DeliveryZone.findOneAndDelete({ _id: req.params.zoneId, kind: "exclusion" })
+      if (!exclusion) {
+        return res.status(404).json({
+          success: false,
+          message: "No-delivery area not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "No-delivery area deleted successfully",
+      })
+    } catch (error) {
+      console.error("Delete delivery exclusion error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Get driver cash shifts, e.g. the flagged ones to review
+// @route   GET /api/admin/driver-shifts
+// @access  Private (Admin only)
+router.get(
+  "/driver-shifts",
+  protect,
+  authorize("admin"),
+  [
+    query("status").optional().isIn(["open", "closed"]).withMessage("Invalid shift status"),
+    query("driverId").optional().isMongoId().withMessage("Invalid driver ID"),
+    query("flagged").optional().isBoolean().withMessage("flagged must be boolean"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const filter = {}
+      if (req.query.status) filter.status = req.query.status
+      if (req.query.driverId) filter.driver = req.query.driverId
+      if (req.query.flagged != null) filter["reconciliation.flagged"] = req.query.flagged === "true"
+
+      const shifts = await DriverShift.find(filter)
+        .select("-collections")
+        .populate("driver", "name phone")
+        .sort({ startedAt: -1 })
+        .limit(100)
+
+      res.json({
+        success: true,
+        data: { shifts },
+      })
+    } catch (error) {
+      console.error("Get driver shifts error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Get a driver cash shift with its collections
+// @route   GET /api/admin/driver-shifts/:shiftId
+// @access  Private (Admin only)
+router.get(
+  "/driver-shifts/:shiftId",
+  protect,
+  authorize("admin"),
+  [param("shiftId").isMongoId().withMessage("Invalid shift ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const shift = await DriverShift.findById(req.params.shiftId)
+        .populate("driver", "name phone")
+        .populate("reconciliation.closedBy", "name")
+      if (!shift) {
+        return res.status(404).json({
+          success: false,
+          message: "Shift not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        data: { shift },
+      })
+    } catch (error) {
+      console.error("Get driver shift error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Close a driver cash shift with the cash handed in
+// @route   POST /api/admin/driver-shifts/:shiftId/close
+// @access  Private (Admin only)
+router.post(
+  "/driver-shifts/:shiftId/close",
+  protect,
+  authorize("admin"),
+  [
+    param("shiftId").isMongoId().withMessage("Invalid shift ID"),
+    body("countedCash").isFloat({ min: 0 }).withMessage("Counted cash must be a positive number"),
+    body("note").optional().trim().isLength({ max: 500 }).withMessage("Note cannot exceed 500 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const shift = await closeShift(
+        req.params.shiftId,
+        { countedCash: Number.parseFloat(req.body.countedCash), note: req.body.note },
+        req.user,
+      )
+
+      res.json({
+        success: true,
+        message: shift.reconciliation.flagged ? "Shift closed and flagged for review" : "Shift closed",
+        data: { shift },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Close driver shift error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// Validation of a commission rate; null clears it to fall back to the category's or the platform default
+const commissionValidators = [
+  body("commissionRate")
+    .custom((value) => value === null || (typeof value === "number" && value >= 0 && value <= 1))
+    .withMessage("Commission rate must be between 0 and 1, or null"),
+]
+
+// @desc    Set a store's platform commission
+// @route   PUT /api/admin/stores/:storeId/commission
+// @access  Private (Admin only)
+router.put(
+  "/stores/:storeId/commission",
+  protect,
+  authorize("admin"),
+  [param("storeId").isMongoId().withMessage("Invalid store ID"), ...commissionValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const { commissionRate } = req.body
+      const store = await Store.findByIdAndUpdate(
+        req.params.storeId,
+        commissionRate == null ? { $unset: { commissionRate: 1 } } : { commissionRate },
+        { new: true },
+      ).select("name category commissionRate")
+      if (!store) {
+        return res.status(404).json({
+          success: false,
+          message: "Store not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Store commission updated successfully",
+        data: { store },
+      })
+    } catch (error) {
+      console.error("Update store commission error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Set the platform commission of a category's stores
+// @route   PUT /api/admin/categories/:categoryId/commission
+// @access  Private (Admin only)
+router.put(
+  "/categories/:categoryId/commission",
+  protect,
+  authorize("admin"),
+  [param("categoryId").isMongoId().withMessage("Invalid category ID"), ...commissionValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const { commissionRate } = req.body
+      const category = await Category.findByIdAndUpdate(
+        req.params.categoryId,
+        commissionRate == null ? { $unset: { commissionRate: 1 } } : { commissionRate },
+        { new: true },
+      ).select("name slug commissionRate")
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: "Category not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Category commission updated successfully",
+        data: { category },
+      })
+    } catch (error) {
+      console.error("Update category commission error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Get payout statements of all stores, e.g. the pending ones to pay
+// @route   GET /api/admin/payouts
+// @access  Private (Admin only)
+router.get(
+  "/payouts",
+  protect,
+  authorize("admin"),
+  [
+    query("status").optional().isIn(["pending", "paid", "nothing_due"]).withMessage("Invalid statement status"),
+    query("storeId").optional().isMongoId().withMessage("Invalid store ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const filter = {}
+      if (req.query.status) filter.status = req.query.status
+      if (req.query.storeId) filter.store = req.query.storeId
+
+      const statements = await PayoutStatement.find(filter)
+        .select("-lines")
+        .populate("store", "name")
+        .sort({ periodEnd: -1 })
+        .limit(100)
+
+      res.json({
+        success: true,
+        data: { statements },
+      })
+    } catch (error) {
+      console.error("Get payouts error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Mark a payout statement as paid to the store
+// @route   POST /api/admin/payouts/:statementId/paid
+// @access  Private (Admin only)
+router.post(
+  "/payouts/:statementId/paid",
+  protect,
+  authorize("admin"),
+  [
+    param("statementId").isMongoId().withMessage("Invalid statement ID"),
+    body("reference").trim().notEmpty().withMessage("Payout reference is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const statement = await markStatementPaid(req.params.statementId, { reference: req.body.reference }, req.user)
+
+      res.json({
+        success: true,
+        message: "Payout recorded successfully",
+        data: { statement },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Mark payout paid error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
 module.exports = router
@@ -4,7 +4,11 @@ const Cart = require("../models/Cart")
 const Product = require("../models/Product")
 const Store = require("../models/Store")
 const Coupon = require("../models/Coupon")
-const { auth } = require("../middleware/auth")
+const { protect } = require("../middleware/auth")
+const { placeOrder, announceOrder } = require("../services/orderPlacement")
+const { buildOrderItem, getUnitPrice } = require("../services/pricing")
+const { getScheduledTime } = require("../services/scheduling")
+const { prepareDeliveryAddress, validateAddress } = require("../services/address")
 const { body, param, validationResult } = require("express-validator")
 
 // @desc    Get user's cart for a specific store
@@ -12,7 +16,7 @@ const { body, param, validationResult } = require("express-validator")
 // @access  Private
 router.get(
   "/:storeId",
-  [auth, param("storeId").isMongoId().withMessage("Invalid store ID")],
+  [protect, param("storeId").isMongoId().withMessage("Invalid store ID")],
   async (req, res) => {
     try {
       const errors = validationResult(req)
@@ -46,7 +50,7 @@ router.get(
 router.post(
   "/:storeId/items",
   [
-    auth,
+    protect,
     param("storeId").isMongoId().withMessage("Invalid store ID"),
     body("productId").isMongoId().withMessage("Invalid product ID"),
     body("quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
@@ -85,23 +89,10 @@ router.post(
         })
       }
 
-      // Calculate item price including customizations and addons
-      let itemPrice = product.price
-      let addonsPrice = 0
-
-      // Add customization costs
-      customizations.forEach(customization => {
-        if (customization.price) {
-          itemPrice += customization.price
-        }
-      })
-
-      // Add addon costs
-      addons.forEach(addon => {
-        addonsPrice += (addon.price * addon.quantity)
-      })
-
-      const totalItemPrice = (itemPrice + addonsPrice) * quantity
+      // Price the item from the product's own option and addon prices, refusing any it does not offer
+      const line = Cart.toOrderLine({ product: product._id, quantity, customizations, addons })
+      const orderItem = buildOrderItem(product, line)
+      const unitPrice = Math.round(getUnitPrice(orderItem) * 100) / 100
 
       const cart = await Cart.getOrCreateCart(req.user.id, storeId)
 
@@ -109,10 +100,10 @@ router.post(
         product: productId,
         quantity,
         customizations,
-        addons,
+        addons: orderItem.addons,
         specialInstructions,
-        price: itemPrice + addonsPrice,
-        totalPrice: totalItemPrice,
+        price: unitPrice,
+        totalPrice: unitPrice * quantity,
       }
 
       await cart.addItem(itemData)
@@ -128,6 +119,13 @@ router.post(
         data: updatedCart,
       })
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.details && { details: error.details }),
+        })
+      }
       console.error("Add to cart error:", error)
       res.status(500).json({
         success: false,
@@ -143,7 +141,7 @@ router.post(
 router.put(
   "/:storeId/items/:itemId",
   [
-    auth,
+    protect,
     param("storeId").isMongoId().withMessage("Invalid store ID"),
     param("itemId").isMongoId().withMessage("Invalid item ID"),
     body("quantity").isInt({ min: 0 }).withMessage("Quantity must be 0 or greater"),
@@ -198,7 +196,7 @@ router.put(
 router.delete(
   "/:storeId/items/:itemId",
   [
-    auth,
+    protect,
     param("storeId").isMongoId().withMessage("Invalid store ID"),
     param("itemId").isMongoId().withMessage("Invalid item ID"),
   ],
@@ -251,7 +249,7 @@ router.delete(
 router.post(
   "/:storeId/coupon",
   [
-    auth,
+    protect,
     param("storeId").isMongoId().withMessage("Invalid store ID"),
     body("couponCode").notEmpty().withMessage("Coupon code is required"),
   ],
@@ -346,7 +344,7 @@ router.post(
 // @access  Private
 router.delete(
   "/:storeId/coupon",
-  [auth, param("storeId").isMongoId().withMessage("Invalid store ID")],
+  [protect, param("storeId").isMongoId().withMessage("Invalid store ID")],
   async (req, res) => {
     try {
       const errors = validationResult(req)
@@ -395,7 +393,7 @@ router.delete(
 // @access  Private
 router.delete(
   "/:storeId",
-  [auth, param("storeId").isMongoId().withMessage("Invalid store ID")],
+  [protect, param("storeId").isMongoId().withMessage("Invalid store ID")],
   async (req, res) => {
     try {
       const errors = validationResult(req)
@@ -440,7 +438,7 @@ router.delete(
 router.put(
   "/:storeId/delivery-address",
   [
-    auth,
+    protect,
     param("storeId").isMongoId().withMessage("Invalid store ID"),
     body("address").isObject().withMessage("Address is required"),
     body("address.street").notEmpty().withMessage("Street address is required"),
@@ -470,21 +468,9 @@ router.put(
         })
       }
 
-      // Calculate delivery fee based on distance (basic implementation)
-      const store = await Store.findById(storeId)
-      if (store && store.location && store.location.coordinates) {
-        const distance = calculateDistance(
-          store.location.coordinates.lat,
-          store.location.coordinates.lng,
-          address.coordinates.lat,
-          address.coordinates.lng
-        )
-        
-        // Basic delivery fee calculation (should be more sophisticated)
-        cart.deliveryFee = Math.max(2.99, distance * 0.5)
-      }
-
-      cart.deliveryAddress = address
+      // Stored normalized and with its validation; mismatches are confirmed by the customer at checkout
+      const { address: validated, coverage } = await validateAddress(address)
+      cart.deliveryAddress = validated
       await cart.save()
 
       // Populate the updated cart
@@ -496,8 +482,15 @@ router.put(
         success: true,
         message: "Delivery address updated",
         data: updatedCart,
+        coverage,
       })
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
       console.error("Update delivery address error:", error)
       res.status(500).json({
         success: false,
@@ -507,17 +500,215 @@ router.put(
   }
 )
 
-// Helper function to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371 // Radius of the Earth in km
-  const dLat = (lat2 - lat1) * Math.PI / 180
-  const dLon = (lon2 - lon1) * Math.PI / 180
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2)
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a))
-  return R * c // Distance in km
-}
+// @desc    Checkout cart into an order
+// @route   POST /api/cart/:storeId/checkout
+// @access  Private
+router.post(
+  "/:storeId/checkout",
+  [
+    protect,
+    param("storeId").isMongoId().withMessage("Invalid store ID"),
+    body("paymentMethod").isIn(["cash", "card", "digital_wallet"]).withMessage("Invalid payment method"),
+    body("paymentToken").optional().isString().withMessage("Invalid payment token"),
+    body("contactInfo.phone").isMobilePhone().withMessage("Valid phone number is required"),
+    body("deliveryAddress").optional().isObject(),
+    body("acceptPriceChanges").optional().isBoolean(),
+    body("acceptNextSlot").optional().isBoolean(),
+    body("confirmAddress").optional().isBoolean(),
+    body("loyaltyPoints").optional().isInt({ min: 0 }).withMessage("Loyalty points must be a positive integer"),
+    body("specialInstructions").optional().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "Validation error", 
+          errors: errors.array() 
+        })
+      }
+
+      const { storeId } = req.params
+      const {
+        paymentMethod,
+        paymentToken,
+        contactInfo,
+        specialInstructions,
+        loyaltyPoints,
+        acceptPriceChanges = false,
+        acceptNextSlot = false,
+        confirmAddress = false,
+      } = req.body
+
+      const cart = await Cart.findOne({ user: req.user.id, store: storeId, isActive: true }).populate("items.product")
+      if (!cart) {
+        return res.status(404).json({
+          success: false,
+          message: "Cart not found",
+        })
+      }
+
+      if (cart.items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Cart is empty",
+        })
+      }
+
+      const requestedAddress = req.body.deliveryAddress || cart.deliveryAddress
+      if (
+        !requestedAddress ||
+        !requestedAddress.street ||
+        !requestedAddress.city ||
+        !requestedAddress.coordinates ||
+        requestedAddress.coordinates.lat == null ||
+        requestedAddress.coordinates.lng == null
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "A complete delivery address is required",
+        })
+      }
+
+      // The province may be filled in from the city during normalization
+      const deliveryAddress = await prepareDeliveryAddress(requestedAddress, { confirmMismatch: confirmAddress })
+      if (!deliveryAddress.state) {
+        return res.status(400).json({
+          success: false,
+          message: "A complete delivery address is required",
+        })
+      }
+
+      const store = await Store.findById(storeId)
+      if (!store || !store.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: "Store not found or inactive",
+        })
+      }
+
+      if (!(await store.canDeliverTo(deliveryAddress.coordinates))) {
+        return res.status(400).json({
+          success: false,
+          message: "Store does not deliver to this location",
+        })
+      }
+
+      // Re-validate every cart line against the current catalogue
+      const unavailable = []
+      const priceChanges = []
+      const orderLines = []
+
+      cart.items.forEach((item, index) => {
+        const product = item.product
+        if (!product || !product.isAvailable || product.store.toString() !== storeId || !product.isInStock(item.quantity)) {
+          unavailable.push({
+            index,
+            itemId: item._id,
+            productId: product ? product._id : null,
+            name: product ? product.name : null,
+            available: product && product.isAvailable ? product.stock : 0,
+          })
+          return
+        }
+
+        const line = Cart.toOrderLine(item)
+
+        const currentPrice = Math.round(getUnitPrice(buildOrderItem(product, line)) * 100) / 100
+        if (Math.abs(currentPrice - item.price) >= 0.01) {
+          priceChanges.push({
+            itemId: item._id,
+            productId: product._id,
+            name: product.name,
+            previousPrice: item.price,
+            currentPrice,
+          })
+          item.price = currentPrice
+          item.totalPrice = currentPrice * item.quantity
+        }
+
+        orderLines.push(line)
+      })
+
+      if (unavailable.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Some items in your cart are no longer available",
+          details: { unavailable },
+        })
+      }
+
+      // Refresh the cart prices and let the client confirm before placing the order
+      if (priceChanges.length > 0 && !acceptPriceChanges) {
+        await cart.save()
+        return res.status(409).json({
+          success: false,
+          message: "Some prices in your cart have changed",
+          details: { priceChanges },
+          data: cart,
+        })
+      }
+
+      // Claim the cart so concurrent checkouts cannot place it twice
+      const claimed = await Cart.findOneAndUpdate({ _id: cart._id, isActive: true }, { isActive: false })
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: "Cart has already been checked out",
+        })
+      }
+
+      let order
+      try {
+        order = await placeOrder({
+          user: req.user,
+          store,
+          items: orderLines,
+          deliveryAddress,
+          contactInfo,
+          paymentMethod,
+          paymentToken,
+          specialInstructions,
+          couponCode: cart.appliedCoupon && cart.appliedCoupon.code,
+          loyaltyPoints,
+          scheduledFor: getScheduledTime(store, cart.scheduledDelivery) || undefined,
+          acceptNextSlot,
+        })
+      } catch (error) {
+        await Cart.updateOne({ _id: cart._id }, { isActive: true })
+        throw error
+      }
+
+      await Cart.updateOne({ _id: cart._id }, { order: order._id })
+
+      await order.populate([
+        { path: "store", select: "name phone address" },
+        { path: "items.product", select: "name images" },
+      ])
+
+      announceOrder(req.app.get("io"), order, req.user)
+
+      res.status(201).json({
+        success: true,
+        message: "Order created successfully",
+        data: { order, priceChanges },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.details && { details: error.details }),
+        })
+      }
+      console.error("Checkout cart error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  }
+)
 
 module.exports = router
\ No newline at end of file
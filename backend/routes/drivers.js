@@ -0,0 +1,464 @@
+const express = require("express")
+const { body, param, query, validationResult } = require("express-validator")
+const DriverStatus = require("../models/DriverStatus")
+const DispatchOffer = require("../models/DispatchOffer")
+const DriverShift = require("../models/DriverShift")
+const Order = require("../models/Order")
+const { protect, authorize } = require("../middleware/auth")
+const { acceptOffer, declineOffer, setDriverOnline, updateDriverLocation } = require("../services/dispatch")
+const { pickUpOrder, deliverOrder, reportFailedDelivery } = require("../services/delivery")
+const { openShift } = require("../services/driverCash")
+
+const router = express.Router()
+
+const ACTIVE_DELIVERY_STATUSES = ["preparing", "ready", "on_way"]
+
+// @desc    Get the current driver's availability
+// @route   GET /api/drivers/me/status
+// @access  Private (Delivery Driver)
+router.get("/me/status", protect, authorize("delivery_driver"), async (req, res) => {
+  try {
+    const status = await DriverStatus.findOne({ driver: req.user._id }).populate(
+      "activeOrder",
+      "orderNumber status deliveryAddress",
+    )
+
+    res.json({
+      success: true,
+      data: { status },
+    })
+  } catch (error) {
+    console.error("Get driver status error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Go online or offline
+// @route   PUT /api/drivers/me/status
+// @access  Private (Delivery Driver)
+router.put(
+  "/me/status",
+  protect,
+  authorize("delivery_driver"),
+  [
+    body("isOnline").isBoolean().withMessage("isOnline must be boolean"),
+    body("openingFloat").optional().isFloat({ min: 0 }).withMessage("Opening float cannot be negative"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const isOnline = req.body.isOnline === true || req.body.isOnline === "true"
+      const status = await setDriverOnline(req.user, isOnline, req.app.get("io"))
+
+      // Going online starts a cash shift, unless one is still open
+      const shift = isOnline
+        ? await openShift(req.user, { openingFloat: Number.parseFloat(req.body.openingFloat || 0) })
+        : undefined
+
+      res.json({
+        success: true,
+        message: isOnline ? "You are now online" : "You are now offline",
+        data: { status, shift },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Update driver status error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Get the current driver's open cash shift
+// @route   GET /api/drivers/me/shift
+// @access  Private (Delivery Driver)
+router.get("/me/shift", protect, authorize("delivery_driver"), async (req, res) => {
+  try {
+    const shift = await DriverShift.findOne({ driver: req.user._id, status: "open" })
+
+    res.json({
+      success: true,
+      data: { shift },
+    })
+  } catch (error) {
+    console.error("Get driver shift error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Report the driver's current location
+// @route   PUT /api/drivers/me/location
+// @access  Private (Delivery Driver)
+router.put(
+  "/me/location",
+  protect,
+  authorize("delivery_driver"),
+  [
+    body("lat").isFloat({ min: -90, max: 90 }).withMessage("Invalid latitude"),
+    body("lng").isFloat({ min: -180, max: 180 }).withMessage("Invalid longitude"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const status = await updateDriverLocation(req.user, {
+        lat: Number.parseFloat(req.body.lat),
+        lng: Number.parseFloat(req.body.lng),
+      })
+
+      res.json({
+        success: true,
+        data: { status },
+      })
+    } catch (error) {
+      console.error("Update driver location error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Get the driver's open dispatch offers
+// @route   GET /api/drivers/me/offers
+// @access  Private (Delivery Driver)
+router.get("/me/offers", protect, authorize("delivery_driver"), async (req, res) => {
+  try {
+    const offers = await DispatchOffer.find({
+      driver: req.user._id,
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    })
+      .populate({
+        path: "order",
+        select: "orderNumber store deliveryAddress pricing.total",
+        populate: { path: "store", select: "name address location" },
+      })
+      .sort({ expiresAt: 1 })
+
+    res.json({
+      success: true,
+      data: { offers },
+    })
+  } catch (error) {
+    console.error("Get driver offers error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Accept a dispatch offer
+// @route   POST /api/drivers/offers/:offerId/accept
+// @access  Private (Delivery Driver)
+router.post(
+  "/offers/:offerId/accept",
+  protect,
+  authorize("delivery_driver"),
+  [param("offerId").isMongoId().withMessage("Invalid offer ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const order = await acceptOffer(req.params.offerId, req.user, req.app.get("io"))
+
+      res.json({
+        success: true,
+        message: "Order assigned to you",
+        data: { order },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Accept offer error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Decline a dispatch offer
+// @route   POST /api/drivers/offers/:offerId/decline
+// @access  Private (Delivery Driver)
+router.post(
+  "/offers/:offerId/decline",
+  protect,
+  authorize("delivery_driver"),
+  [
+    param("offerId").isMongoId().withMessage("Invalid offer ID"),
+    body("reason").optional().trim().isLength({ max: 200 }).withMessage("Reason cannot exceed 200 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      await declineOffer(req.params.offerId, req.user, { reason: req.body.reason, io: req.app.get("io") })
+
+      res.json({
+        success: true,
+        message: "Offer declined",
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Decline offer error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Get orders assigned to the driver
+// @route   GET /api/drivers/me/orders?scope=active|completed
+// @access  Private (Delivery Driver)
+router.get(
+  "/me/orders",
+  protect,
+  authorize("delivery_driver"),
+  [query("scope").optional().isIn(["active", "completed"]).withMessage("Scope must be active or completed")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const scope = req.query.scope || "active"
+      const orders = await Order.find({
+        driver: req.user._id,
+        status: scope === "active" ? { $in: ACTIVE_DELIVERY_STATUSES } : { $nin: ACTIVE_DELIVERY_STATUSES },
+      })
+        .populate("store", "name phone address location")
+        .populate("customer", "name phone")
+        .sort({ createdAt: -1 })
+        .limit(50)
+
+      res.json({
+        success: true,
+        data: { orders },
+      })
+    } catch (error) {
+      console.error("Get driver orders error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Mark an assigned order as picked up
+// @route   PUT /api/drivers/orders/:id/pickup
+// @access  Private (Delivery Driver)
+router.put(
+  "/orders/:id/pickup",
+  protect,
+  authorize("delivery_driver"),
+  [param("id").isMongoId().withMessage("Invalid order ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const order = await pickUpOrder(req.params.id, req.user, req.app.get("io"))
+
+      res.json({
+        success: true,
+        message: "Order picked up",
+        data: { order },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.details && { details: error.details }),
+        })
+      }
+      console.error("Pick up order error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Mark an assigned order as delivered, with a PIN or photo proof of delivery
+// @route   PUT /api/drivers/orders/:id/deliver
+// @access  Private (Delivery Driver)
+router.put(
+  "/orders/:id/deliver",
+  protect,
+  authorize("delivery_driver"),
+  [
+    param("id").isMongoId().withMessage("Invalid order ID"),
+    body("pin").optional().matches(/^\d{4}$/).withMessage("PIN must be 4 digits"),
+    body("photoUrl")
+      .if(body("pin").not().exists())
+      .notEmpty()
+      .withMessage("A delivery PIN or a photo is required as proof of delivery"),
+    body("cashReceived").optional().isFloat({ min: 0 }).withMessage("Cash received cannot be negative"),
+    body("changeGiven").optional().isFloat({ min: 0 }).withMessage("Change given cannot be negative"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const { pin, photoUrl, cashReceived, changeGiven } = req.body
+      const order = await deliverOrder(
+        req.params.id,
+        req.user,
+        {
+          pin,
+          photoUrl,
+          cash: {
+            received: cashReceived == null ? undefined : Number.parseFloat(cashReceived),
+            changeGiven: changeGiven == null ? 0 : Number.parseFloat(changeGiven),
+          },
+        },
+        req.app.get("io"),
+      )
+
+      res.json({
+        success: true,
+        message: "Order delivered",
+        data: { order },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.details && { details: error.details }),
+        })
+      }
+      console.error("Deliver order error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Report that an assigned order could not be delivered
+// @route   PUT /api/drivers/orders/:id/fail
+// @access  Private (Delivery Driver)
+router.put(
+  "/orders/:id/fail",
+  protect,
+  authorize("delivery_driver"),
+  [
+    param("id").isMongoId().withMessage("Invalid order ID"),
+    body("reason").trim().isLength({ min: 3, max: 200 }).withMessage("Reason must be between 3 and 200 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const order = await reportFailedDelivery(req.params.id, req.user, req.body.reason, req.app.get("io"))
+
+      res.json({
+        success: true,
+        message: "Failed delivery reported",
+        data: { order },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.details && { details: error.details }),
+        })
+      }
+      console.error("Report failed delivery error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+module.exports = router
@@ -1,34 +1,160 @@
 const express = require("express")
+const { body, query, validationResult } = require("express-validator")
+const { geocode, reverseGeocode, autocomplete } = require("../services/geocoding")
 
 const router = express.Router()
 
 // @desc    Geocode address
 // @route   POST /api/location/geocode
 // @access  Public
-router.post("/geocode", async (req, res) => {
-  try {
-    const { address } = req.body
-
-    // Mock geocoding response
-    const location = {
-      coordinates: { lat: -34.6037, lng: -58.3816 },
-      address,
-      city: "Buenos Aires",
-      state: "CABA",
-      country: "Argentina",
+router.post(
+  "/geocode",
+  [
+    body("address").trim().isLength({ min: 2, max: 200 }).withMessage("Address must be between 2 and 200 characters"),
+    body("city").optional().trim().isLength({ max: 100 }).withMessage("City cannot exceed 100 characters"),
+    body("limit").optional().isInt({ min: 1, max: 10 }).withMessage("Limit must be between 1 and 10"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const { address, city, limit } = req.body
+      // A separate city narrows the search like "street number, city" does
+      const text = city && !address.includes(",") ? `${address}, ${city}` : address
+      const results = await geocode(text, { limit: limit ? Number(limit) : undefined })
+
+      if (results.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Address not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        data: { location: results[0], results },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Geocode error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
     }
+  },
+)
+
+// @desc    Reverse geocode coordinates to an address
+// @route   POST /api/location/reverse
+// @access  Public
+router.post(
+  "/reverse",
+  [
+    body("lat").isFloat({ min: -90, max: 90 }).withMessage("Invalid latitude"),
+    body("lng").isFloat({ min: -180, max: 180 }).withMessage("Invalid longitude"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const [location] = await reverseGeocode({
+        lat: Number.parseFloat(req.body.lat),
+        lng: Number.parseFloat(req.body.lng),
+      })
+
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: "No address found near this location",
+        })
+      }
 
-    res.json({
-      success: true,
-      data: { location },
-    })
-  } catch (error) {
-    console.error("Geocode error:", error)
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-    })
-  }
-})
+      res.json({
+        success: true,
+        data: { location },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Reverse geocode error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Suggest addresses for a partial input
+// @route   GET /api/location/autocomplete?q=&lat=&lng=&limit=
+// @access  Public
+router.get(
+  "/autocomplete",
+  [
+    query("q").trim().isLength({ min: 2, max: 100 }).withMessage("Query must be between 2 and 100 characters"),
+    query("lat").optional().isFloat({ min: -90, max: 90 }).withMessage("Invalid latitude"),
+    query("lng").optional().isFloat({ min: -180, max: 180 }).withMessage("Invalid longitude"),
+    query("limit").optional().isInt({ min: 1, max: 20 }).withMessage("Limit must be between 1 and 20"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const { q, lat, lng, limit } = req.query
+      const suggestions = await autocomplete(q, {
+        near: lat && lng ? { lat: Number.parseFloat(lat), lng: Number.parseFloat(lng) } : undefined,
+        limit: limit ? Number(limit) : undefined,
+      })
+
+      res.json({
+        success: true,
+        data: { suggestions },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Autocomplete error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
 
 module.exports = router
@@ -1,10 +1,15 @@
 const express = require("express")
+const mongoose = require("mongoose")
 const { body, query, validationResult } = require("express-validator")
 const Order = require("../models/Order")
 const Store = require("../models/Store")
-const Product = require("../models/Product")
-const User = require("../models/User")
+const Refund = require("../models/Refund")
 const { protect, authorize } = require("../middleware/auth")
+const { getOrderActorRole, transitionOrder } = require("../services/orderStatus")
+const { placeOrder, announceOrder } = require("../services/orderPlacement")
+const { getOrderRoute } = require("../services/deliveryRoute")
+const { prepareDeliveryAddress } = require("../services/address")
+const { refundOrder } = require("../services/refunds")
 
 const router = express.Router()
 
@@ -24,7 +29,12 @@ router.post(
     body("deliveryAddress.coordinates.lat").isFloat().withMessage("Invalid latitude"),
     body("deliveryAddress.coordinates.lng").isFloat().withMessage("Invalid longitude"),
     body("paymentMethod").isIn(["cash", "card", "digital_wallet"]).withMessage("Invalid payment method"),
+    body("paymentToken").optional().isString().withMessage("Invalid payment token"),
     body("contactInfo.phone").isMobilePhone().withMessage("Valid phone number is required"),
+    body("loyaltyPoints").optional().isInt({ min: 0 }).withMessage("Loyalty points must be a positive integer"),
+    body("scheduledFor").optional().isISO8601().withMessage("Invalid scheduled delivery time"),
+    body("acceptNextSlot").optional().isBoolean().withMessage("acceptNextSlot must be boolean"),
+    body("confirmAddress").optional().isBoolean().withMessage("confirmAddress must be boolean"),
   ],
   async (req, res) => {
     try {
@@ -37,7 +47,20 @@ router.post(
         })
       }
 
-      const { storeId, items, deliveryAddress, paymentMethod, contactInfo, specialInstructions, couponCode } = req.body
+      const {
+        storeId,
+        items,
+        deliveryAddress,
+        paymentMethod,
+        paymentToken,
+        contactInfo,
+        specialInstructions,
+        couponCode,
+        loyaltyPoints,
+        scheduledFor,
+        acceptNextSlot,
+        confirmAddress,
+      } = req.body
 
       // Verify store exists and is active
       const store = await Store.findById(storeId)
@@ -48,145 +71,31 @@ router.post(
         })
       }
 
+      const address = await prepareDeliveryAddress(deliveryAddress, {
+        confirmMismatch: confirmAddress === true || confirmAddress === "true",
+      })
+
       // Check if store can deliver to the address
-      if (!store.canDeliverTo(deliveryAddress.coordinates)) {
+      if (!(await store.canDeliverTo(address.coordinates))) {
         return res.status(400).json({
           success: false,
           message: "Store does not deliver to this location",
         })
       }
 
-      // Verify products and calculate pricing
-      let subtotal = 0
-      const orderItems = []
-
-      for (const item of items) {
-        const product = await Product.findById(item.productId)
-        if (!product || !product.isAvailable || product.store.toString() !== storeId) {
-          return res.status(400).json({
-            success: false,
-            message: `Product ${item.productId} not available`,
-          })
-        }
-
-        // Check stock
-        if (!product.isInStock(item.quantity)) {
-          return res.status(400).json({
-            success: false,
-            message: `Insufficient stock for ${product.name}`,
-          })
-        }
-
-        const itemPrice = product.finalPrice
-
-        // Calculate options price
-        let optionsPrice = 0
-        if (item.options) {
-          for (const option of item.options) {
-            const productOption = product.options.find((o) => o.name === option.name)
-            if (productOption) {
-              const choice = productOption.choices.find((c) => c.name === option.choice)
-              if (choice) {
-                optionsPrice += choice.price
-              }
-            }
-          }
-        }
-
-        const totalItemPrice = (itemPrice + optionsPrice) * item.quantity
-        subtotal += totalItemPrice
-
-        orderItems.push({
-          product: product._id,
-          name: product.name,
-          price: itemPrice,
-          quantity: item.quantity,
-          options: item.options || [],
-          specialInstructions: item.specialInstructions,
-        })
-      }
-
-      // Calculate fees
-      const deliveryFee = store.deliveryInfo.deliveryFee
-      const serviceFee = subtotal * 0.05 // 5% service fee
-      const tax = subtotal * 0.1 // 10% tax
-
-      // Apply coupon if provided
-      let discount = 0
-      let coupon = null
-      if (couponCode) {
-        // Simple coupon validation (in real app, you'd have a Coupon model)
-        const validCoupons = {
-          FIRST10: { type: "percentage", value: 10 },
-          SAVE5: { type: "fixed", value: 5 },
-          WELCOME20: { type: "percentage", value: 20 },
-        }
-
-        if (validCoupons[couponCode.toUpperCase()]) {
-          const couponData = validCoupons[couponCode.toUpperCase()]
-          coupon = {
-            code: couponCode.toUpperCase(),
-            type: couponData.type,
-            discount: couponData.value,
-          }
-
-          if (couponData.type === "percentage") {
-            discount = subtotal * (couponData.value / 100)
-          } else {
-            discount = couponData.value
-          }
-        }
-      }
-
-      const total = Math.max(0, subtotal + deliveryFee + serviceFee + tax - discount)
-
-      // Calculate estimated delivery time
-      const distance = store.distanceFrom(deliveryAddress.coordinates)
-      const estimatedDelivery = Math.round(20 + distance * 3) // Base 20 min + 3 min per km
-
-      // Create order
-      const order = await Order.create({
-        customer: req.user.id,
-        store: storeId,
-        items: orderItems,
-        deliveryAddress,
+      const order = await placeOrder({
+        user: req.user,
+        store,
+        items,
+        deliveryAddress: address,
         contactInfo,
-        paymentInfo: {
-          method: paymentMethod,
-          status: paymentMethod === "cash" ? "pending" : "paid",
-        },
-        pricing: {
-          subtotal,
-          deliveryFee,
-          serviceFee,
-          tax,
-          discount,
-          total,
-        },
-        coupon,
-        timing: {
-          estimatedPreparation: 20,
-          estimatedDelivery,
-        },
+        paymentMethod,
+        paymentToken,
         specialInstructions,
-      })
-
-      // Update product stock
-      for (const item of items) {
-        await Product.findByIdAndUpdate(item.productId, {
-          $inc: { stock: -item.quantity, totalOrders: item.quantity },
-        })
-      }
-
-      // Update store stats
-      await Store.findByIdAndUpdate(storeId, {
-        $inc: { totalOrders: 1, totalRevenue: total },
-      })
-
-      // Add loyalty points to user
-      const loyaltyPoints = Math.floor(total / 10)
-      await User.findByIdAndUpdate(req.user.id, {
-        $inc: { loyaltyPoints },
+        couponCode,
+        loyaltyPoints,
+        scheduledFor: scheduledFor ? new Date(scheduledFor) : undefined,
+        acceptNextSlot: acceptNextSlot === true || acceptNextSlot === "true",
       })
 
       // Populate order for response
@@ -196,14 +105,7 @@ router.post(
       ])
 
       // Emit real-time event to store
-      const io = req.app.get("io")
-      io.to(`store-${storeId}`).emit("new-order", {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        customer: req.user.name,
-        total: order.pricing.total,
-        items: order.items.length,
-      })
+      announceOrder(req.app.get("io"), order, req.user)
 
       res.status(201).json({
         success: true,
@@ -211,6 +113,13 @@ router.post(
         data: { order },
       })
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.details && { details: error.details }),
+        })
+      }
       console.error("Create order error:", error)
       res.status(500).json({
         success: false,
@@ -220,26 +129,151 @@ router.post(
   },
 )
 
-// @desc    Get user orders
+const ORDER_STATUSES = [
+  "awaiting_payment",
+  "scheduled",
+  "pending",
+  "confirmed",
+  "preparing",
+  "ready",
+  "on_way",
+  "delivered",
+  "delivery_failed",
+  "cancelled",
+  "refunded",
+]
+const PAYMENT_STATUSES = ["pending", "authorized", "paid", "failed", "voided", "refunded"]
+
+// Cursors encode the sort key of the last returned order: createdAt and _id
+const encodeCursor = (order) =>
+  Buffer.from(`${order.createdAt.toISOString()}_${order._id}`).toString("base64url")
+
+const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(cursor, "base64url").toString("utf8").split("_")
+  const date = new Date(createdAt)
+  if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null
+  return { createdAt: date, id: new mongoose.Types.ObjectId(id) }
+}
+
+// @desc    Get orders visible to the current user
 // @route   GET /api/orders
 // @access  Private
-router.get("/", protect, async (req, res) => {
-  try {
-    // Mock data for now
-    const orders = []
+router.get(
+  "/",
+  protect,
+  [
+    query("status")
+      .optional()
+      .custom((value) => value.split(",").every((status) => ORDER_STATUSES.includes(status)))
+      .withMessage("Invalid status filter"),
+    query("paymentStatus").optional().isIn(PAYMENT_STATUSES).withMessage("Invalid payment status"),
+    query("storeId").optional().isMongoId().withMessage("Invalid store ID"),
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+    query("view").optional().isIn(["customer"]).withMessage("Invalid view"),
+    query("cursor").optional().isString(),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
 
-    res.json({
-      success: true,
-      data: { orders },
-    })
-  } catch (error) {
-    console.error("Get orders error:", error)
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-    })
-  }
-})
+      const { status, paymentStatus, storeId, from, to, view, cursor, limit = 20 } = req.query
+      const pageSize = Number.parseInt(limit)
+
+      // Scope the listing to what the user's role is allowed to see
+      const filter = {}
+      if (view === "customer" || req.user.role === "client") {
+        filter.customer = req.user._id
+      } else if (req.user.role === "store_owner") {
+        const storeIds = await Store.find({ owner: req.user._id }).distinct("_id")
+        if (storeId && !storeIds.some((id) => id.toString() === storeId)) {
+          return res.status(403).json({
+            success: false,
+            message: "Not authorized to view orders for this store",
+          })
+        }
+        filter.store = { $in: storeIds }
+      } else if (req.user.role === "delivery_driver") {
+        filter.driver = req.user._id
+      }
+
+      if (storeId) {
+        filter.store = new mongoose.Types.ObjectId(storeId)
+      }
+
+      // Stores only see orders once their payment is authorized
+      const hidden = req.user.role === "store_owner" && view !== "customer" ? ["awaiting_payment"] : []
+      if (status) {
+        const statuses = status.split(",").filter((value) => !hidden.includes(value))
+        filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses }
+      } else if (hidden.length > 0) {
+        filter.status = { $nin: hidden }
+      }
+
+      if (paymentStatus) {
+        filter["paymentInfo.status"] = paymentStatus
+      }
+
+      if (from || to) {
+        filter.createdAt = {}
+        if (from) filter.createdAt.$gte = new Date(from)
+        if (to) filter.createdAt.$lte = new Date(to)
+      }
+
+      if (cursor) {
+        const position = decodeCursor(cursor)
+        if (!position) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid cursor",
+          })
+        }
+        filter.$or = [
+          { createdAt: { $lt: position.createdAt } },
+          { createdAt: position.createdAt, _id: { $lt: position.id } },
+        ]
+      }
+
+      // Fetch one extra order to know whether another page exists
+      const orders = await Order.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(pageSize + 1)
+        .select("-statusHistory")
+        .populate("store", "name logo phone address")
+        .populate("items.product", "name images")
+        .populate("driver", "name phone")
+
+      const hasMore = orders.length > pageSize
+      if (hasMore) orders.pop()
+
+      res.json({
+        success: true,
+        data: {
+          orders,
+          pagination: {
+            limit: pageSize,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(orders[orders.length - 1]) : null,
+          },
+        },
+      })
+    } catch (error) {
+      console.error("Get orders error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
 
 // @desc    Get single order
 // @route   GET /api/orders/:id
@@ -247,7 +281,8 @@ router.get("/", protect, async (req, res) => {
 router.get("/:id", protect, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
-      .populate("store", "name logo phone address")
+      .select("+deliveryPin")
+      .populate("store", "name logo phone address owner")
       .populate("items.product", "name images")
       .populate("driver", "name phone")
 
@@ -258,18 +293,20 @@ router.get("/:id", protect, async (req, res) => {
       })
     }
 
-    // Check if user owns this order or is store owner/admin
-    if (
-      order.customer.toString() !== req.user.id &&
-      req.user.role !== "admin" &&
-      order.store.owner?.toString() !== req.user.id
-    ) {
+    // Check if user is the customer, store owner, assigned driver or an admin
+    const role = getOrderActorRole(order, req.user)
+    if (!role) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to view this order",
       })
     }
 
+    // The delivery PIN is the customer's proof of delivery
+    if (role !== "customer") {
+      order.deliveryPin = undefined
+    }
+
     res.json({
       success: true,
       data: { order },
@@ -289,10 +326,24 @@ router.get("/:id", protect, async (req, res) => {
 router.put(
   "/:id/status",
   protect,
-  [body("status").isIn(["confirmed", "preparing", "ready", "on_way", "delivered", "cancelled"])],
+  [
+    body("status")
+      .isIn(["confirmed", "preparing", "ready", "on_way", "delivered", "delivery_failed", "cancelled"])
+      .withMessage("Invalid status"),
+    body("reason").optional().isLength({ max: 200 }).withMessage("Reason too long"),
+  ],
   async (req, res) => {
     try {
-      const { status } = req.body
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const { status, reason } = req.body
 
       const order = await Order.findById(req.params.id).populate("store")
       if (!order) {
@@ -303,25 +354,27 @@ router.put(
       }
 
       // Check authorization
-      if (
-        req.user.role !== "admin" &&
-        order.store.owner.toString() !== req.user.id &&
-        req.user.role !== "delivery_driver"
-      ) {
+      const role = getOrderActorRole(order, req.user)
+      if (!role || role === "customer") {
         return res.status(403).json({
           success: false,
           message: "Not authorized to update this order",
         })
       }
 
-      await order.updateStatus(status)
+      // Pickups and deliveries go through the driver API, which checks the proof of delivery
+      if (role === "driver") {
+        return res.status(403).json({
+          success: false,
+          message: "Drivers update deliveries through /api/drivers/orders",
+        })
+      }
 
-      // Emit real-time update to customer
-      const io = req.app.get("io")
-      io.to(`order-${order._id}`).emit("order-status-updated", {
-        orderId: order._id,
-        status: order.status,
-        timestamp: new Date(),
+      await transitionOrder(order, status, {
+        user: req.user,
+        role,
+        reason,
+        io: req.app.get("io"),
       })
 
       res.json({
@@ -330,6 +383,13 @@ router.put(
         data: { order },
       })
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.details && { details: error.details }),
+        })
+      }
       console.error("Update order status error:", error)
       res.status(500).json({
         success: false,
@@ -339,6 +399,89 @@ router.put(
   },
 )
 
+// @desc    Get order status history
+// @route   GET /api/orders/:id/history
+// @access  Private (Customer/Store Owner/Driver/Admin)
+router.get("/:id/history", protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select("orderNumber status statusHistory customer store driver")
+      .populate("store", "owner")
+      .populate("statusHistory.changedBy", "name role")
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      })
+    }
+
+    if (!getOrderActorRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this order",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        history: order.statusHistory,
+      },
+    })
+  } catch (error) {
+    console.error("Get order history error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get the path the driver took: polyline, distance travelled and stops
+// @route   GET /api/orders/:id/route
+// @access  Private (Customer/Store Owner/Driver/Admin)
+router.get("/:id/route", protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select("orderNumber status customer store driver")
+      .populate("store", "owner")
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      })
+    }
+
+    if (!getOrderActorRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this order",
+      })
+    }
+
+    const route = await getOrderRoute(order._id)
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        route,
+      },
+    })
+  } catch (error) {
+    console.error("Get order route error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
 // @desc    Cancel order
 // @route   PUT /api/orders/:id/cancel
 // @access  Private
@@ -348,6 +491,15 @@ router.put(
   [body("reason").optional().isLength({ max: 200 }).withMessage("Reason too long")],
   async (req, res) => {
     try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
       const { reason } = req.body
 
       const order = await Order.findById(req.params.id)
@@ -366,26 +518,18 @@ router.put(
         })
       }
 
-      if (!order.canBeCancelled()) {
-        return res.status(400).json({
+      const role = req.user.role === "admin" ? "admin" : "customer"
+      if (!order.canTransitionTo("cancelled", role)) {
+        return res.status(409).json({
           success: false,
           message: "Order cannot be cancelled at this stage",
         })
       }
 
-      order.status = "cancelled"
-      order.cancellationReason = reason
-      await order.save()
-
-      // Restore product stock
-      for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.product, {
-          $inc: { stock: item.quantity },
-        })
-      }
+      const io = req.app.get("io")
+      await transitionOrder(order, "cancelled", { user: req.user, role, reason, io })
 
       // Emit real-time update
-      const io = req.app.get("io")
       io.to(`order-${order._id}`).emit("order-cancelled", {
         orderId: order._id,
         reason,
@@ -397,6 +541,12 @@ router.put(
         data: { order },
       })
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
       console.error("Cancel order error:", error)
       res.status(500).json({
         success: false,
@@ -406,6 +556,120 @@ router.put(
   },
 )
 
+// @desc    Refund an order, whole or some of its items
+// @route   POST /api/orders/:id/refunds
+// @access  Private (Store Owner/Admin)
+router.post(
+  "/:id/refunds",
+  protect,
+  authorize("store_owner", "admin"),
+  [
+    body("items").optional().isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+    body("items.*.itemId").isMongoId().withMessage("Invalid item ID"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    body("refundDeliveryFee").optional().isBoolean().withMessage("refundDeliveryFee must be boolean"),
+    body("reasonCode").isIn(Refund.REASON_CODES).withMessage("Invalid reason code"),
+    body("note").optional().isLength({ max: 500 }).withMessage("Note too long"),
+    body("restock").optional().isBoolean().withMessage("restock must be boolean"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const order = await Order.findById(req.params.id).populate("store", "owner")
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Order not found",
+        })
+      }
+
+      const role = getOrderActorRole(order, req.user)
+      if (!["store", "admin"].includes(role)) {
+        return res.status(403).json({
+          success: false,
+          message: "Not authorized to refund this order",
+        })
+      }
+
+      const { items, refundDeliveryFee, reasonCode, note, restock } = req.body
+      const refund = await refundOrder(
+        order,
+        {
+          items: items && items.map(({ itemId, quantity }) => ({ itemId, quantity: Number(quantity) })),
+          refundDeliveryFee: refundDeliveryFee === true || refundDeliveryFee === "true",
+          reasonCode,
+          note,
+          restock: restock === true || restock === "true",
+        },
+        { user: req.user, role, io: req.app.get("io") },
+      )
+
+      res.status(201).json({
+        success: true,
+        message: refund.full ? "Order refunded" : "Items refunded",
+        data: { refund, order },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...(error.details && { details: error.details }),
+        })
+      }
+      console.error("Refund order error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Get refunds of an order
+// @route   GET /api/orders/:id/refunds
+// @access  Private
+router.get("/:id/refunds", protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate("store", "owner")
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      })
+    }
+
+    const role = getOrderActorRole(order, req.user)
+    if (!["customer", "store", "admin"].includes(role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view refunds of this order",
+      })
+    }
+
+    const refunds = await Refund.find({ order: order._id }).sort({ createdAt: -1 })
+
+    res.json({
+      success: true,
+      data: { refunds, refundAmount: order.refundAmount || 0 },
+    })
+  } catch (error) {
+    console.error("Get order refunds error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
 // @desc    Rate order
 // @route   POST /api/orders/:id/rate
 // @access  Private
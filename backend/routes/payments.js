@@ -0,0 +1,51 @@
+const express = require("express")
+const { param, validationResult } = require("express-validator")
+const { handleWebhook } = require("../services/payments/webhooks")
+
+const router = express.Router()
+
+// @desc    Receive a payment provider's event (signed with HMAC, see services/payments/webhooks.js)
+// @route   POST /api/payments/webhook/:provider
+// @access  Public
+router.post(
+  "/webhook/:provider",
+  [param("provider").matches(/^[a-z0-9_-]+$/).withMessage("Invalid provider")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const { event, duplicate } = await handleWebhook(
+        req.params.provider,
+        { rawBody: req.rawBody ? req.rawBody.toString("utf8") : "", headers: req.headers, body: req.body },
+        req.app.get("io"),
+      )
+
+      // Providers only need a 2xx; redelivered events are acknowledged without being applied again
+      res.json({
+        success: true,
+        data: { eventId: event.eventId, status: event.status, reason: event.reason, duplicate },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Payment webhook error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+module.exports = router
@@ -0,0 +1,88 @@
+const express = require("express")
+const { body, validationResult } = require("express-validator")
+const Store = require("../models/Store")
+const { protect } = require("../middleware/auth")
+const { quote } = require("../services/pricing")
+
+const router = express.Router()
+
+// @desc    Get an itemised price quote for a prospective order
+// @route   POST /api/pricing/quote
+// @access  Private
+router.post(
+  "/quote",
+  protect,
+  [
+    body("storeId").isMongoId().withMessage("Invalid store ID"),
+    body("items").isArray({ min: 1 }).withMessage("Quote must have at least one item"),
+    body("items.*.productId").isMongoId().withMessage("Invalid product ID"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    body("deliveryAddress.coordinates.lat").optional().isFloat().withMessage("Invalid latitude"),
+    body("deliveryAddress.coordinates.lng").optional().isFloat().withMessage("Invalid longitude"),
+    body("couponCode").optional().isString(),
+    body("loyaltyPoints").optional().isInt({ min: 0 }).withMessage("Loyalty points must be a positive integer"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const { storeId, items, deliveryAddress, couponCode, loyaltyPoints } = req.body
+
+      const store = await Store.findById(storeId)
+      if (!store || !store.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: "Store not found or inactive",
+        })
+      }
+
+      const result = await quote({
+        user: req.user,
+        store,
+        items,
+        deliveryCoordinates: deliveryAddress && deliveryAddress.coordinates,
+        couponCode,
+        loyaltyPoints,
+      })
+
+      res.json({
+        success: true,
+        data: {
+          quote: result.pricing,
+          unavailableItems: result.failures,
+          distance: Math.round(result.distanceKm * 100) / 100,
+          coverage: result.coverage && {
+            canDeliver: result.coverage.canDeliver,
+            reason: result.coverage.reason,
+            zone: result.coverage.zone && {
+              id: result.coverage.zone._id,
+              name: result.coverage.zone.name,
+              estimatedDeliveryTime: result.coverage.zone.estimatedDeliveryTime,
+            },
+          },
+        },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Price quote error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+module.exports = router
@@ -1,11 +1,145 @@
 const express = require("express")
-const { body, query, validationResult } = require("express-validator")
+const { body, param, query, validationResult } = require("express-validator")
 const Store = require("../models/Store")
 const Product = require("../models/Product")
+const DeliveryZone = require("../models/DeliveryZone")
+const PayoutStatement = require("../models/PayoutStatement")
 const { protect, authorize } = require("../middleware/auth")
+const { listAvailableSlots } = require("../services/scheduling")
+const { pauseStore, resumeStore } = require("../services/storeAvailability")
+const { getEtaAccuracy } = require("../services/eta")
+const { statementToCsv, writeStatementPdf } = require("../services/payouts")
+const { getLocalDate, getOpenStatus, getTimezone, isValidTimezone, parseDateKey } = require("../utils/storeHours")
+const { isPolygonGeometry } = require("../utils/geo")
 
 const router = express.Router()
 
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/
+
+// Store fields an owner may change; platform fields (owner, commission, pricing, rating, verification, stats)
+// are left to admins, and date exceptions have their own routes. The category sets the commission of stores
+// without their own rate, so owners only choose it when creating the store.
+const OWNER_EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "images",
+  "logo",
+  "banner",
+  "address",
+  "location",
+  "phone",
+  "email",
+  "website",
+  "socialMedia",
+  "operatingHours",
+  "timezone",
+  "deliveryInfo",
+  "tags",
+  "features",
+  "paymentMethods",
+  "settings",
+  "isActive",
+]
+const OWNER_CREATE_FIELDS = [...OWNER_EDITABLE_FIELDS, "category"]
+
+// Plain field updates from a request body: update operators and dotted paths are dropped, and so are
+// the fields the user may not set
+const pickStoreUpdates = (body, user, ownerFields = OWNER_EDITABLE_FIELDS) =>
+  Object.fromEntries(
+    Object.entries(body).filter(
+      ([key]) => !key.startsWith("$") && !key.includes(".") && (user.role === "admin" || ownerFields.includes(key)),
+    ),
+  )
+
+// Load a store the current user may manage (its owner or an admin), sending the error response otherwise
+const findManagedStore = async (req, res) => {
+  const store = await Store.findById(req.params.id)
+
+  if (!store) {
+    res.status(404).json({
+      success: false,
+      message: "Store not found",
+    })
+    return null
+  }
+
+  if (store.owner.toString() !== req.user.id && req.user.role !== "admin") {
+    res.status(403).json({
+      success: false,
+      message: "Not authorized to manage this store",
+    })
+    return null
+  }
+
+  return store
+}
+
+// Validation shared by creating and updating a date exception
+const exceptionValidators = [
+  body("date").matches(/^\d{4}-\d{2}-\d{2}$/).withMessage("Date must be in YYYY-MM-DD format"),
+  body("type").isIn(["closed", "custom_hours", "paused"]).withMessage("Invalid exception type"),
+  body("openTime")
+    .if(body("type").equals("custom_hours"))
+    .matches(TIME_FORMAT)
+    .withMessage("Custom hours need an open time (HH:MM)"),
+  body("closeTime")
+    .if(body("type").equals("custom_hours"))
+    .matches(TIME_FORMAT)
+    .withMessage("Custom hours need a close time (HH:MM)"),
+  body("startTime").optional().matches(TIME_FORMAT).withMessage("Start time must be HH:MM"),
+  body("endTime")
+    .if(body("startTime").exists())
+    .matches(TIME_FORMAT)
+    .withMessage("A paused window needs both a start and an end time"),
+  body("reason")
+    .if(body("type").equals("paused"))
+    .trim()
+    .notEmpty()
+    .withMessage("A reason is required when pausing the store"),
+  body("reason").optional().isLength({ max: 200 }).withMessage("Reason cannot exceed 200 characters"),
+]
+
+// Validation shared by creating and updating a delivery zone
+const zoneValidators = [
+  body("name").trim().isLength({ min: 1, max: 100 }).withMessage("Zone name must be between 1 and 100 characters"),
+  body("area").custom(isPolygonGeometry).withMessage("Area must be a GeoJSON Polygon or MultiPolygon"),
+  body("deliveryFee").optional({ nullable: true }).isFloat({ min: 0 }).withMessage("Delivery fee cannot be negative"),
+  body("minimumOrder").optional({ nullable: true }).isFloat({ min: 0 }).withMessage("Minimum order cannot be negative"),
+  body("estimatedDeliveryTime.min").optional().isInt({ min: 1 }).withMessage("Minimum ETA must be positive minutes"),
+  body("estimatedDeliveryTime.max").optional().isInt({ min: 1 }).withMessage("Maximum ETA must be positive minutes"),
+  body("isActive").optional().isBoolean().withMessage("isActive must be boolean"),
+]
+
+// Pick the editable fields of a delivery zone
+const toZone = ({ name, area, deliveryFee, minimumOrder, estimatedDeliveryTime, isActive }) => ({
+  name,
+  area: { type: area.type, coordinates: area.coordinates },
+  deliveryFee,
+  minimumOrder,
+  estimatedDeliveryTime,
+  ...(isActive !== undefined && { isActive }),
+})
+
+// MongoDB refuses polygons it cannot index, e.g. self-intersecting ones
+const isInvalidGeometryError = (error) => error.code === 16755
+
+// Pick the exception fields that apply to its type
+const toException = ({ date, type, openTime, closeTime, startTime, endTime, reason }) => ({
+  date,
+  type,
+  reason,
+  ...(type === "custom_hours" && { openTime, closeTime }),
+  ...(type === "paused" && startTime && { startTime, endTime }),
+})
+
+// A day can only have one closed or custom hours exception; pauses can be combined with either
+const hasConflictingException = (store, exception, ignoreId) =>
+  exception.type !== "paused" &&
+  store.hoursExceptions.some(
+    (entry) =>
+      entry.date === exception.date && entry.type !== "paused" && (!ignoreId || entry._id.toString() !== ignoreId),
+  )
+
 // @desc    Get all stores with filters
 // @route   GET /api/stores
 // @access  Public
@@ -22,6 +156,7 @@ router.get(
       .isIn(["distance", "rating", "deliveryTime", "deliveryFee"])
       .withMessage("Invalid sort option"),
     query("isOpen").optional().isBoolean().withMessage("isOpen must be boolean"),
+    query("canDeliver").optional().isBoolean().withMessage("canDeliver must be boolean"),
     query("page").optional().isInt({ min: 1 }).withMessage("Page must be positive integer"),
     query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
   ],
@@ -36,7 +171,18 @@ router.get(
         })
       }
 
-      const { category, lat, lng, radius = 10, search, sortBy = "rating", isOpen, page = 1, limit = 20 } = req.query
+      const {
+        category,
+        lat,
+        lng,
+        radius = 10,
+        search,
+        sortBy = "rating",
+        isOpen,
+        canDeliver,
+        page = 1,
+        limit = 20,
+      } = req.query
 
       // Build query
       const query = { isActive: true }
@@ -55,40 +201,20 @@ router.get(
         ]
       }
 
-      // Location-based query
+      // Location-based query ($near is not allowed in an aggregation $match)
       if (lat && lng) {
         query.location = {
-          $near: {
-            $geometry: {
-              type: "Point",
-              coordinates: [Number.parseFloat(lng), Number.parseFloat(lat)],
-            },
-            $maxDistance: Number.parseFloat(radius) * 1000, // Convert km to meters
+          $geoWithin: {
+            $centerSphere: [[Number.parseFloat(lng), Number.parseFloat(lat)], Number.parseFloat(radius) / 6378.1],
           },
         }
       }
 
-      // Build aggregation pipeline
-      const pipeline = [
-        { $match: query },
-        {
-          $lookup: {
-            from: "categories",
-            localField: "category",
-            foreignField: "_id",
-            as: "categoryInfo",
-          },
-        },
-        {
-          $addFields: {
-            categoryName: { $arrayElemAt: ["$categoryInfo.name", 0] },
-          },
-        },
-      ]
-
+      // Distance from the given point, when there is one
+      const distanceStages = []
       // Add distance calculation if coordinates provided
       if (lat && lng) {
-        pipeline.push({
+        distanceStages.push({
           $addFields: {
             distance: {
               $divide: [
@@ -127,12 +253,6 @@ router.get(
         })
       }
 
-      // Filter by open status
-      if (isOpen === "true") {
-        // This would require more complex logic to check current time against operating hours
-        // For now, we'll assume all active stores are open
-      }
-
       // Sort
       const sortStage = {}
       switch (sortBy) {
@@ -153,37 +273,126 @@ router.get(
           sortStage["rating.average"] = -1
       }
 
-      pipeline.push({ $sort: sortStage })
-
-      // Pagination
-      const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
-      pipeline.push({ $skip: skip }, { $limit: Number.parseInt(limit) })
-
-      // Project fields
-      pipeline.push({
-        $project: {
-          name: 1,
-          description: 1,
-          logo: 1,
-          banner: 1,
-          address: 1,
-          location: 1,
-          phone: 1,
-          rating: 1,
-          tags: 1,
-          deliveryInfo: 1,
-          categoryName: 1,
-          distance: 1,
-          isVerified: 1,
-          isFeatured: 1,
-        },
-      })
+      // Stable across pages when the sort field ties
+      sortStage._id = 1
+
+      // Open status and delivery coverage depend on each store's hours, timezone and zones, so they are computed
+      // here rather than in the pipeline. They are computed for every matching store, loading only the fields
+      // needed, so that the filters, the open-first order and the total cover all of them; the page's stores are
+      // loaded in full afterwards.
+      const now = new Date()
+      let candidates = (
+        await Store.aggregate([
+          { $match: query },
+          ...distanceStages,
+          { $sort: sortStage },
+          {
+            $project: {
+              location: 1,
+              "deliveryInfo.deliveryRadius": 1,
+              operatingHours: 1,
+              hoursExceptions: 1,
+              timezone: 1,
+            },
+          },
+        ])
+      ).map(({ _id, location, deliveryInfo, ...hours }) => ({
+        _id,
+        location,
+        deliveryInfo,
+        ...getOpenStatus(hours, now),
+      }))
 
-      const stores = await Store.aggregate(pipeline)
+      if (isOpen !== undefined) {
+        candidates = candidates.filter((store) => store.isOpen === (isOpen === "true"))
+      }
+
+      // Whether each store delivers to the given point, with the fee, minimum and ETA of its zone there
+      if (lat && lng) {
+        const coverage = await DeliveryZone.getCoverageForStores(candidates, {
+          lat: Number.parseFloat(lat),
+          lng: Number.parseFloat(lng),
+        })
+        candidates = candidates.map((store, index) => {
+          const { canDeliver: deliverable, zone } = coverage[index]
+          return {
+            ...store,
+            canDeliver: deliverable,
+            deliveryZone: zone && {
+              id: zone._id,
+              name: zone.name,
+              deliveryFee: zone.deliveryFee,
+              minimumOrder: zone.minimumOrder,
+              estimatedDeliveryTime: zone.estimatedDeliveryTime,
+            },
+          }
+        })
+
+        if (canDeliver !== undefined) {
+          candidates = candidates.filter((store) => store.canDeliver === (canDeliver === "true"))
+        }
+      }
+
+      // Open stores first, keeping the requested order within each group
+      candidates.sort((a, b) => Number(b.isOpen) - Number(a.isOpen))
+
+      const pageSize = Number.parseInt(limit)
+      const skip = (Number.parseInt(page) - 1) * pageSize
+      const pageCandidates = candidates.slice(skip, skip + pageSize)
+
+      const pageStores = await Store.aggregate([
+        { $match: { _id: { $in: pageCandidates.map((store) => store._id) } } },
+        {
+          $lookup: {
+            from: "categories",
+            localField: "category",
+            foreignField: "_id",
+            as: "categoryInfo",
+          },
+        },
+        {
+          $addFields: {
+            categoryName: { $arrayElemAt: ["$categoryInfo.name", 0] },
+          },
+        },
+        ...distanceStages,
+        {
+          $project: {
+            name: 1,
+            description: 1,
+            logo: 1,
+            banner: 1,
+            address: 1,
+            location: 1,
+            phone: 1,
+            rating: 1,
+            tags: 1,
+            deliveryInfo: 1,
+            categoryName: 1,
+            distance: 1,
+            isVerified: 1,
+            isFeatured: 1,
+            "settings.acceptOrders": 1,
+            "settings.pausedUntil": 1,
+          },
+        },
+      ])
+      const pageStoresById = new Map(pageStores.map((store) => [store._id.toString(), store]))
 
-      // Get total count for pagination
-      const totalStores = await Store.countDocuments(query)
-      const totalPages = Math.ceil(totalStores / Number.parseInt(limit))
+      // In the listing's order, leaving out any store deleted in between
+      const stores = pageCandidates
+        .filter((candidate) => pageStoresById.has(candidate._id.toString()))
+        .map(({ _id, location, deliveryInfo, ...status }) => {
+          const { settings = {}, ...store } = pageStoresById.get(_id.toString())
+          return {
+            ...store,
+            ...status,
+            acceptingOrders:
+              settings.acceptOrders !== false || (Boolean(settings.pausedUntil) && settings.pausedUntil <= now),
+          }
+        })
+      const totalStores = candidates.length
+      const totalPages = Math.ceil(totalStores / pageSize)
 
       res.json({
         success: true,
@@ -233,6 +442,7 @@ router.get("/:id", async (req, res) => {
       data: {
         store,
         products,
+        openStatus: store.getOpenStatus(),
       },
     })
   } catch (error) {
@@ -244,6 +454,48 @@ router.get("/:id", async (req, res) => {
   }
 })
 
+// @desc    Get scheduled delivery slots of a store for a day
+// @route   GET /api/stores/:id/slots?date=YYYY-MM-DD
+// @access  Public
+router.get(
+  "/:id/slots",
+  [query("date").optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage("Date must be in YYYY-MM-DD format")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const store = await Store.findById(req.params.id)
+      if (!store || !store.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: "Store not found",
+        })
+      }
+
+      const day = req.query.date ? parseDateKey(req.query.date) : getLocalDate(new Date(), getTimezone(store))
+      const slots = await listAvailableSlots(store, day)
+
+      res.json({
+        success: true,
+        data: { slots },
+      })
+    } catch (error) {
+      console.error("Get store slots error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
 // @desc    Create store
 // @route   POST /api/stores
 // @access  Private (Store Owner)
@@ -260,6 +512,7 @@ router.post(
     body("address.state").notEmpty().withMessage("State is required"),
     body("location.coordinates").isArray({ min: 2, max: 2 }).withMessage("Location coordinates must be [lng, lat]"),
     body("phone").isMobilePhone().withMessage("Valid phone number is required"),
+    body("timezone").optional().custom(isValidTimezone).withMessage("Invalid timezone"),
   ],
   async (req, res) => {
     try {
@@ -282,7 +535,7 @@ router.post(
       }
 
       const storeData = {
-        ...req.body,
+        ...pickStoreUpdates(req.body, req.user, OWNER_CREATE_FIELDS),
         owner: req.user.id,
       }
 
@@ -326,7 +579,7 @@ router.put("/:id", protect, async (req, res) => {
       })
     }
 
-    const updatedStore = await Store.findByIdAndUpdate(req.params.id, req.body, {
+    const updatedStore = await Store.findByIdAndUpdate(req.params.id, pickStoreUpdates(req.body, req.user), {
       new: true,
       runValidators: true,
     }).populate("category", "name slug")
@@ -384,6 +637,550 @@ router.delete("/:id", protect, async (req, res) => {
   }
 })
 
+// @desc    Get store date exceptions (holidays, special hours, pauses)
+// @route   GET /api/stores/:id/exceptions
+// @access  Public
+router.get("/:id/exceptions", async (req, res) => {
+  try {
+    const store = await Store.findById(req.params.id).select("hoursExceptions timezone isActive")
+
+    if (!store || !store.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Store not found",
+      })
+    }
+
+    const exceptions = [...store.hoursExceptions].sort((a, b) => a.date.localeCompare(b.date))
+
+    res.json({
+      success: true,
+      data: { exceptions, timezone: store.timezone },
+    })
+  } catch (error) {
+    console.error("Get store exceptions error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Add a store date exception
+// @route   POST /api/stores/:id/exceptions
+// @access  Private (Store Owner/Admin)
+router.post("/:id/exceptions", protect, exceptionValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      })
+    }
+
+    const store = await findManagedStore(req, res)
+    if (!store) return
+
+    const exception = toException(req.body)
+    if (hasConflictingException(store, exception)) {
+      return res.status(409).json({
+        success: false,
+        message: "This date already has a closed or custom hours exception",
+      })
+    }
+
+    store.hoursExceptions.push(exception)
+    await store.save()
+
+    res.status(201).json({
+      success: true,
+      message: "Exception added successfully",
+      data: { exception: store.hoursExceptions[store.hoursExceptions.length - 1] },
+    })
+  } catch (error) {
+    console.error("Add store exception error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Update a store date exception
+// @route   PUT /api/stores/:id/exceptions/:exceptionId
+// @access  Private (Store Owner/Admin)
+router.put(
+  "/:id/exceptions/:exceptionId",
+  protect,
+  [param("exceptionId").isMongoId().withMessage("Invalid exception ID"), ...exceptionValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const store = await findManagedStore(req, res)
+      if (!store) return
+
+      const existing = store.hoursExceptions.id(req.params.exceptionId)
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: "Exception not found",
+        })
+      }
+
+      const exception = toException(req.body)
+      if (hasConflictingException(store, exception, req.params.exceptionId)) {
+        return res.status(409).json({
+          success: false,
+          message: "This date already has a closed or custom hours exception",
+        })
+      }
+
+      existing.set({ openTime: undefined, closeTime: undefined, startTime: undefined, endTime: undefined, ...exception })
+      await store.save()
+
+      res.json({
+        success: true,
+        message: "Exception updated successfully",
+        data: { exception: existing },
+      })
+    } catch (error) {
+      console.error("Update store exception error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Delete a store date exception
+// @route   DELETE /api/stores/:id/exceptions/:exceptionId
+// @access  Private (Store Owner/Admin)
+router.delete(
+  "/:id/exceptions/:exceptionId",
+  protect,
+  [param("exceptionId").isMongoId().withMessage("Invalid exception ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const store = await findManagedStore(req, res)
+      if (!store) return
+
+      const exception = store.hoursExceptions.id(req.params.exceptionId)
+      if (!exception) {
+        return res.status(404).json({
+          success: false,
+          message: "Exception not found",
+        })
+      }
+
+      exception.deleteOne()
+      await store.save()
+
+      res.json({
+        success: true,
+        message: "Exception deleted successfully",
+      })
+    } catch (error) {
+      console.error("Delete store exception error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Get the active delivery zones of a store
+// @route   GET /api/stores/:id/zones
+// @access  Public
+router.get("/:id/zones", async (req, res) => {
+  try {
+    const store = await Store.findById(req.params.id).select("deliveryInfo")
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: "Store not found",
+      })
+    }
+
+    const zones = await DeliveryZone.find({ store: store._id, kind: "delivery", isActive: true }).sort({ name: 1 })
+
+    res.json({
+      success: true,
+      // Stores without zones deliver within their radius
+      data: { zones, deliveryRadius: zones.length === 0 ? store.deliveryInfo.deliveryRadius : undefined },
+    })
+  } catch (error) {
+    console.error("Get store zones error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Add a delivery zone
+// @route   POST /api/stores/:id/zones
+// @access  Private (Store Owner/Admin)
+router.post("/:id/zones", protect, zoneValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      })
+    }
+
+    const store = await findManagedStore(req, res)
+    if (!store) return
+
+    const zone = await DeliveryZone.create({
+      ...toZone(req.body),
+      store: store._id,
+      kind: "delivery",
+      createdBy: req.user._id,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Delivery zone added successfully",
+      data: { zone },
+    })
+  } catch (error) {
+    if (isInvalidGeometryError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: "Zone area is not a valid polygon",
+      })
+    }
+    console.error("Add store zone error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Update a delivery zone
+// @route   PUT /api/stores/:id/zones/:zoneId
+// @access  Private (Store Owner/Admin)
+router.put(
+  "/:id/zones/:zoneId",
+  protect,
+  [param("zoneId").isMongoId().withMessage("Invalid zone ID"), ...zoneValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const store = await findManagedStore(req, res)
+      if (!store) return
+
+      const zone = await DeliveryZone.findOne({ _id: req.params.zoneId, store: store._id, kind: "delivery" })
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          message: "Delivery zone not found",
+        })
+      }
+
+      // Overrides left out of the update fall back to the store's delivery info again
+      zone.set({
+        deliveryFee: undefined,
+        minimumOrder: undefined,
+        estimatedDeliveryTime: undefined,
+        ...toZone(req.body),
+      })
+      await zone.save()
+
+      res.json({
+        success: true,
+        message: "Delivery zone updated successfully",
+        data: { zone },
+      })
+    } catch (error) {
+      if (isInvalidGeometryError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: "Zone area is not a valid polygon",
+        })
+      }
+      console.error("Update store zone error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Delete a delivery zone
+// @route   DELETE /api/stores/:id/zones/:zoneId
+// @access  Private (Store Owner/Admin)
+router.delete(
+  "/:id/zones/:zoneId",
+  protect,
+  [param("zoneId").isMongoId().withMessage("Invalid zone ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const store = await findManagedStore(req, res)
+      if (!store) return
+
+      const zone = await DeliveryZone.findOneAndDelete({ _id: req.params.zoneId, store: store._id, kind: "delivery" })
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          message: "Delivery zone not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Delivery zone deleted successfully",
+      })
+    } catch (error) {
+      console.error("Delete store zone error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Pause incoming orders, optionally for a number of minutes
+// @route   POST /api/stores/:id/pause
+// @access  Private (Store Owner/Admin)
+router.post(
+  "/:id/pause",
+  protect,
+  [
+    body("minutes").optional().isInt({ min: 5, max: 1440 }).withMessage("Pause must be between 5 and 1440 minutes"),
+    body("reason").optional().trim().isLength({ max: 200 }).withMessage("Reason cannot exceed 200 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const store = await findManagedStore(req, res)
+      if (!store) return
+
+      await pauseStore(store, {
+        minutes: req.body.minutes ? Number(req.body.minutes) : undefined,
+        reason: req.body.reason,
+        io: req.app.get("io"),
+      })
+
+      res.json({
+        success: true,
+        message: "Store paused successfully",
+        data: { settings: store.settings },
+      })
+    } catch (error) {
+      console.error("Pause store error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Resume incoming orders
+// @route   DELETE /api/stores/:id/pause
+// @access  Private (Store Owner/Admin)
+router.delete("/:id/pause", protect, async (req, res) => {
+  try {
+    const store = await findManagedStore(req, res)
+    if (!store) return
+
+    const resumed = await resumeStore(store._id, { io: req.app.get("io") })
+    if (!resumed) {
+      return res.status(400).json({
+        success: false,
+        message: "Store is not paused",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Store resumed successfully",
+      data: { settings: resumed.settings },
+    })
+  } catch (error) {
+    console.error("Resume store error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get how accurate the store's delivery ETAs were over a period (default: the last 30 days)
+// @route   GET /api/stores/:id/eta-accuracy?from=&to=
+// @access  Private (Store Owner/Admin)
+router.get(
+  "/:id/eta-accuracy",
+  protect,
+  [
+    query("from").optional().isISO8601().withMessage("From must be a valid date"),
+    query("to").optional().isISO8601().withMessage("To must be a valid date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const store = await findManagedStore(req, res)
+      if (!store) return
+
+      const to = req.query.to ? new Date(req.query.to) : new Date()
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000)
+      const accuracy = await getEtaAccuracy(store._id, { from, to })
+
+      res.json({
+        success: true,
+        data: { accuracy },
+      })
+    } catch (error) {
+      console.error("Get ETA accuracy error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Get the store's payout statements, latest first
+// @route   GET /api/stores/:id/payouts
+// @access  Private (Store Owner/Admin)
+router.get("/:id/payouts", protect, async (req, res) => {
+  try {
+    const store = await findManagedStore(req, res)
+    if (!store) return
+
+    const statements = await PayoutStatement.find({ store: store._id }).select("-lines").sort({ periodEnd: -1 })
+
+    res.json({
+      success: true,
+      data: { statements },
+    })
+  } catch (error) {
+    console.error("Get payout statements error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get a payout statement with the orders and refunds behind it, as JSON or a CSV or PDF download
+// @route   GET /api/stores/:id/payouts/:statementId?format=json|csv|pdf
+// @access  Private (Store Owner/Admin)
+router.get(
+  "/:id/payouts/:statementId",
+  protect,
+  [
+    param("statementId").isMongoId().withMessage("Invalid statement ID"),
+    query("format").optional().isIn(["json", "csv", "pdf"]).withMessage("Format must be json, csv or pdf"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const store = await findManagedStore(req, res)
+      if (!store) return
+
+      const statement = await PayoutStatement.findOne({ _id: req.params.statementId, store: store._id })
+      if (!statement) {
+        return res.status(404).json({
+          success: false,
+          message: "Statement not found",
+        })
+      }
+
+      const filename = `payout-${store._id}-${statement.periodEnd.toISOString().slice(0, 10)}`
+      if (req.query.format === "csv") {
+        res.attachment(`${filename}.csv`)
+        return res.type("text/csv").send(statementToCsv(statement, store))
+      }
+      if (req.query.format === "pdf") {
+        res.attachment(`${filename}.pdf`)
+        res.type("application/pdf")
+        return writeStatementPdf(statement, store, res)
+      }
+
+      res.json({
+        success: true,
+        data: { statement },
+      })
+    } catch (error) {
+      console.error("Get payout statement error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
 // @desc    Get featured stores
 // @route   GET /api/stores/featured/list
 // @access  Public
@@ -1,8 +1,43 @@
 const express = require("express")
+const { body, param, validationResult } = require("express-validator")
 const { protect } = require("../middleware/auth")
+const { validateAddress, getAddressCoverage } = require("../services/address")
 
 const router = express.Router()
 
+const addressValidators = [
+  body("label").trim().isLength({ min: 1, max: 50 }).withMessage("Label must be between 1 and 50 characters"),
+  body("street").trim().isLength({ min: 2, max: 200 }).withMessage("Street must be between 2 and 200 characters"),
+  body("number").optional().trim().isLength({ max: 10 }).withMessage("Number cannot exceed 10 characters"),
+  body("city").trim().isLength({ min: 2, max: 100 }).withMessage("City must be between 2 and 100 characters"),
+  body("state").optional().trim().isLength({ max: 100 }).withMessage("Province cannot exceed 100 characters"),
+  body("zipCode").optional().trim().isLength({ max: 10 }).withMessage("Zip code cannot exceed 10 characters"),
+  body("coordinates.lat").isFloat({ min: -90, max: 90 }).withMessage("Invalid latitude"),
+  body("coordinates.lng").isFloat({ min: -180, max: 180 }).withMessage("Invalid longitude"),
+  body("isDefault").optional().isBoolean().withMessage("isDefault must be boolean"),
+]
+
+// Normalize and validate an address from the request body. The province is required on saved
+// addresses but may be filled in from the city.
+const buildAddress = async (req) => {
+  const { address, validation, coverage } = await validateAddress(req.body)
+  if (!address.state) {
+    return { error: "Province is required" }
+  }
+  return { address: { ...address, isDefault: req.body.isDefault === true }, validation, coverage }
+}
+
+// Keep exactly one default address: the given one, or the first when none is marked
+const applyDefault = (user, defaultAddress) => {
+  if (defaultAddress) {
+    user.addresses.forEach((address) => {
+      address.isDefault = address._id.equals(defaultAddress._id)
+    })
+  } else if (user.addresses.length > 0 && !user.addresses.some((address) => address.isDefault)) {
+    user.addresses[0].isDefault = true
+  }
+}
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -21,4 +56,228 @@ router.get("/profile", protect, async (req, res) => {
   }
 })
 
+// @desc    Get saved addresses with their delivery coverage
+// @route   GET /api/users/addresses
+// @access  Private
+router.get("/addresses", protect, async (req, res) => {
+  try {
+    const addresses = await Promise.all(
+      req.user.addresses.map(async (address) => ({
+        ...address.toObject(),
+        coverage: await getAddressCoverage(address.coordinates),
+      })),
+    )
+
+    res.json({
+      success: true,
+      data: { addresses },
+    })
+  } catch (error) {
+    console.error("Get addresses error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Normalize and check an address without saving it
+// @route   POST /api/users/addresses/validate
+// @access  Private
+router.post(
+  "/addresses/validate",
+  protect,
+  [
+    body("street").trim().isLength({ min: 2, max: 200 }).withMessage("Street must be between 2 and 200 characters"),
+    body("city").trim().isLength({ min: 2, max: 100 }).withMessage("City must be between 2 and 100 characters"),
+    body("coordinates.lat").isFloat({ min: -90, max: 90 }).withMessage("Invalid latitude"),
+    body("coordinates.lng").isFloat({ min: -180, max: 180 }).withMessage("Invalid longitude"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const { address, validation, coverage } = await validateAddress(req.body)
+
+      res.json({
+        success: true,
+        data: { address, validation, coverage },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Validate address error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Add a saved address
+// @route   POST /api/users/addresses
+// @access  Private
+router.post("/addresses", protect, addressValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      })
+    }
+
+    const { address, validation, coverage, error } = await buildAddress(req)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      })
+    }
+
+    const user = req.user
+    user.addresses.push(address)
+    const saved = user.addresses[user.addresses.length - 1]
+    applyDefault(user, saved.isDefault ? saved : null)
+    await user.save()
+
+    res.status(201).json({
+      success: true,
+      message: "Address added",
+      data: { address: saved, validation, coverage },
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+    console.error("Add address error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Replace a saved address
+// @route   PUT /api/users/addresses/:addressId
+// @access  Private
+router.put(
+  "/addresses/:addressId",
+  protect,
+  [param("addressId").isMongoId().withMessage("Invalid address ID"), ...addressValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const user = req.user
+      const existing = user.addresses.id(req.params.addressId)
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: "Address not found",
+        })
+      }
+
+      const { address, validation, coverage, error } = await buildAddress(req)
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        })
+      }
+
+      // Unmarking the default keeps it until another address is made the default
+      existing.set({ ...address, isDefault: address.isDefault || existing.isDefault })
+      applyDefault(user, existing.isDefault ? existing : null)
+      await user.save()
+
+      res.json({
+        success: true,
+        message: "Address updated",
+        data: { address: existing, validation, coverage },
+      })
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        })
+      }
+      console.error("Update address error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
+// @desc    Delete a saved address
+// @route   DELETE /api/users/addresses/:addressId
+// @access  Private
+router.delete(
+  "/addresses/:addressId",
+  protect,
+  [param("addressId").isMongoId().withMessage("Invalid address ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        })
+      }
+
+      const user = req.user
+      const address = user.addresses.id(req.params.addressId)
+      if (!address) {
+        return res.status(404).json({
+          success: false,
+          message: "Address not found",
+        })
+      }
+
+      address.deleteOne()
+      applyDefault(user)
+      await user.save()
+
+      res.json({
+        success: true,
+        message: "Address deleted",
+      })
+    } catch (error) {
+      console.error("Delete address error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      })
+    }
+  },
+)
+
 module.exports = router
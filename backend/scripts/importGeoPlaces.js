@@ -0,0 +1,113 @@
+const fs = require("fs")
+const path = require("path")
+const mongoose = require("mongoose")
+require("dotenv").config()
+
+const GeoPlace = require("../models/GeoPlace")
+const { clearCache } = require("../services/geocoding")
+const { normalizeText, normalizeStreetName } = require("../services/geocoding/text")
+const { parseCsv } = require("../utils/csv")
+
+// Import a geocoding dataset for the local provider, replacing an earlier import of the same file.
+//   node scripts/importGeoPlaces.js data/geo/tucuman-sample.csv
+//
+// Columns (e.g. exported from OpenStreetMap ways and places):
+//   kind        "street" (a segment with a house number range) or "locality"
+//   name        street or locality name as displayed
+//   locality    city or town of a street
+//   state, country
+//   lat, lng    locality centre, or where a street segment's numbering starts
+//   end_lat, end_lng            where a street segment's numbering ends
+//   from_number, to_number      house number range of a street segment
+
+const toNumber = (value) => (value === "" || value == null ? undefined : Number(value))
+
+// Build a GeoPlace from a CSV row, or return why the row is invalid
+const toPlace = (row, source) => {
+  const lat = toNumber(row.lat)
+  const lng = toNumber(row.lng)
+  if (!row.name || !Number.isFinite(lat) || !Number.isFinite(lng)) return { error: "name, lat and lng are required" }
+
+  const base = {
+    kind: row.kind,
+    name: row.name,
+    locality: row.locality || undefined,
+    normalizedLocality: row.locality ? normalizeText(row.locality) : undefined,
+    state: row.state || undefined,
+    country: row.country || undefined,
+    source,
+  }
+
+  if (row.kind === "locality") {
+    return {
+      place: { ...base, normalizedName: normalizeText(row.name), geometry: { type: "Point", coordinates: [lng, lat] } },
+    }
+  }
+
+  if (row.kind === "street") {
+    const endLat = toNumber(row.end_lat)
+    const endLng = toNumber(row.end_lng)
+    const from = toNumber(row.from_number)
+    const to = toNumber(row.to_number)
+    if (!Number.isFinite(endLat) || !Number.isFinite(endLng)) return { error: "streets need end_lat and end_lng" }
+    if (from != null && (to == null || to < from)) return { error: "to_number must be at least from_number" }
+
+    return {
+      place: {
+        ...base,
+        normalizedName: normalizeStreetName(row.name),
+        geometry: {
+          type: "LineString",
+          coordinates: [
+            [lng, lat],
+            [endLng, endLat],
+          ],
+        },
+        numbers: from != null ? { from, to } : undefined,
+      },
+    }
+  }
+
+  return { error: `unknown kind "${row.kind}"` }
+}
+
+const importGeoPlaces = async (file) => {
+  const source = path.basename(file)
+  const rows = parseCsv(fs.readFileSync(file, "utf8"))
+
+  const places = []
+  rows.forEach((row, index) => {
+    const { place, error } = toPlace(row, source)
+    if (error) {
+      // Header is line 1
+      console.warn(`Skipping line ${index + 2}: ${error}`)
+    } else {
+      places.push(place)
+    }
+  })
+
+  const { deletedCount } = await GeoPlace.deleteMany({ source })
+  await GeoPlace.insertMany(places)
+  await clearCache("local")
+
+  console.log(`✅ Imported ${places.length} places from ${source} (replaced ${deletedCount})`)
+}
+
+if (require.main === module) {
+  const file = process.argv[2]
+  if (!file) {
+    console.error("Usage: node scripts/importGeoPlaces.js <file.csv>")
+    process.exit(1)
+  }
+
+  mongoose
+    .connect(process.env.MONGODB_URI || "mongodb://localhost:27017/delivery-app")
+    .then(() => importGeoPlaces(path.resolve(file)))
+    .catch((error) => {
+      console.error("Error importing places:", error)
+      process.exitCode = 1
+    })
+    .finally(() => mongoose.connection.close())
+}
+
+module.exports = importGeoPlaces
@@ -22,10 +22,15 @@ const uploadRoutes = require("./routes/upload")
 const cartRoutes = require("./routes/cart")
 const couponRoutes = require("./routes/coupons")
 const reviewRoutes = require("./routes/reviews")
+const pricingRoutes = require("./routes/pricing")
+const driverRoutes = require("./routes/drivers")
+const paymentRoutes = require("./routes/payments")
 
 // Import middleware
 const { errorHandler } = require("./middleware/errorHandler")
 const { notFound } = require("./middleware/notFound")
+const { startJobs } = require("./jobs")
+const { registerSocketHandlers } = require("./sockets")
 
 const app = express()
 const server = createServer(app)
@@ -57,48 +62,30 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   message: "Too many requests from this IP, please try again later.",
+  // Payment providers retry webhooks in bursts from a few addresses
+  skip: (req) => req.originalUrl.startsWith("/api/payments/webhook/"),
 })
 app.use("/api/", limiter)
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }))
+app.use(
+  express.json({
+    limit: "10mb",
+    // Webhook signatures are computed over the exact bytes received
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhook/")) {
+        req.rawBody = buf
+      }
+    },
+  }),
+)
 app.use(express.urlencoded({ extended: true, limit: "10mb" }))
 
 // Static files
 app.use("/uploads", express.static("uploads"))
 
-// Socket.IO for real-time features
-io.on("connection", (socket) => {
-  console.log("User connected:", socket.id)
-
-  // Join room for order tracking
-  socket.on("join-order", (orderId) => {
-    socket.join(`order-${orderId}`)
-    console.log(`User ${socket.id} joined order room: ${orderId}`)
-  })
-
-  // Join room for store dashboard
-  socket.on("join-store", (storeId) => {
-    socket.join(`store-${storeId}`)
-    console.log(`User ${socket.id} joined store room: ${storeId}`)
-  })
-
-  // Handle real-time location updates for delivery
-  socket.on("update-delivery-location", (data) => {
-    const { orderId, location } = data
-    socket.to(`order-${orderId}`).emit("delivery-location-updated", location)
-  })
-
-  // Handle delivery status updates
-  socket.on("update-delivery-status", (data) => {
-    const { orderId, status, estimatedTime } = data
-    socket.to(`order-${orderId}`).emit("delivery-status-updated", { status, estimatedTime })
-  })
-
-  socket.on("disconnect", () => {
-    console.log("User disconnected:", socket.id)
-  })
-})
+// Socket.IO for real-time features (authenticated, see sockets/index.js)
+registerSocketHandlers(io)
 
 // Make io accessible to routes
 app.set("io", io)
@@ -125,6 +112,9 @@ app.use("/api/upload", uploadRoutes)
 app.use("/api/cart", cartRoutes)
 app.use("/api/coupons", couponRoutes)
 app.use("/api/reviews", reviewRoutes)
+app.use("/api/pricing", pricingRoutes)
+app.use("/api/drivers", driverRoutes)
+app.use("/api/payments", paymentRoutes)
 
 // Health check
 app.get("/api/health", (req, res) => {
@@ -157,6 +147,8 @@ server.listen(PORT, () => {
   console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`)
   console.log(`🔗 API Base URL: http://localhost:${PORT}/api`)
   console.log(`🔗 Health Check: http://localhost:${PORT}/api/health`)
+
+  startJobs(io)
 })
 
 // Handle unhandled promise rejections
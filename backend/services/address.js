@@ -0,0 +1,185 @@
+const Store = require("../models/Store")
+const DeliveryZone = require("../models/DeliveryZone")
+const GeoPlace = require("../models/GeoPlace")
+const { geocode } = require("./geocoding")
+const { normalizeText } = require("./geocoding/text")
+const { distanceKm } = require("../utils/geo")
+const ErrorResponse = require("../utils/errorResponse")
+
+// Coordinates further than this from where the address text geocodes to are flagged as a mismatch
+const MAX_MISMATCH_METERS = Number(process.env.ADDRESS_MAX_MISMATCH_METERS || 300)
+// Stores further away than this are not considered for coverage (the largest delivery radius allowed)
+const COVERAGE_SEARCH_KM = 50
+
+// Argentine provinces by their usual spellings and abbreviations
+const PROVINCES = {
+  "Ciudad Autónoma de Buenos Aires": [
+    "caba",
+    "capital federal",
+    "ciudad de buenos aires",
+    "ciudad autonoma de buenos aires",
+  ],
+  "Buenos Aires": ["buenos aires", "bs as", "provincia de buenos aires", "pba"],
+  Catamarca: ["catamarca"],
+  Chaco: ["chaco"],
+  Chubut: ["chubut"],
+  Córdoba: ["cordoba", "cba"],
+  Corrientes: ["corrientes"],
+  "Entre Ríos": ["entre rios"],
+  Formosa: ["formosa"],
+  Jujuy: ["jujuy"],
+  "La Pampa": ["la pampa"],
+  "La Rioja": ["la rioja"],
+  Mendoza: ["mendoza", "mza"],
+  Misiones: ["misiones"],
+  Neuquén: ["neuquen"],
+  "Río Negro": ["rio negro"],
+  Salta: ["salta"],
+  "San Juan": ["san juan"],
+  "San Luis": ["san luis"],
+  "Santa Cruz": ["santa cruz"],
+  "Santa Fe": ["santa fe"],
+  "Santiago del Estero": ["santiago del estero", "sgo del estero"],
+  "Tierra del Fuego": ["tierra del fuego", "tdf"],
+  Tucumán: ["tucuman", "tuc"],
+}
+
+const PROVINCE_BY_ALIAS = new Map(
+  Object.entries(PROVINCES).flatMap(([name, aliases]) => aliases.map((alias) => [alias, name])),
+)
+
+const STREET_ABBREVIATIONS = {
+  av: "Avenida",
+  avda: "Avenida",
+  bv: "Boulevard",
+  bvd: "Boulevard",
+  pje: "Pasaje",
+  gral: "General",
+  pres: "Presidente",
+  dr: "Doctor",
+}
+
+// Words kept lowercase inside names, e.g. "24 de Septiembre"
+const MINOR_WORDS = new Set(["de", "del", "la", "las", "los", "y", "el"])
+
+const collapseSpaces = (text) => String(text || "").replace(/\s+/g, " ").trim()
+
+// "san miguel DE tucuman" -> "San Miguel de Tucuman"; street abbreviations are expanded when asked
+const formatName = (text, { expandAbbreviations = false } = {}) =>
+  collapseSpaces(text)
+    .split(" ")
+    .map((word, index) => {
+      const bare = word.replace(/\.$/, "").toLowerCase()
+      if (expandAbbreviations && STREET_ABBREVIATIONS[bare]) return STREET_ABBREVIATIONS[bare]
+      if (index > 0 && MINOR_WORDS.has(bare)) return bare
+      return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
+    })
+    .join(" ")
+
+// Split "Avenida Mate de Luna 1800" into the street name and its house number
+const splitStreetNumber = (street, number) => {
+  const text = collapseSpaces(street)
+  if (number) return { name: text, number: String(number).trim().toUpperCase() }
+
+  const match = text.match(/^(.*?)\s+(?:n[°º]?\s*|nro\.?\s*)?(\d+[a-z]?)$/i)
+  return match ? { name: match[1], number: match[2].toUpperCase() } : { name: text, number: undefined }
+}
+
+const normalizeProvince = (state) => {
+  const text = collapseSpaces(state)
+  return PROVINCE_BY_ALIAS.get(normalizeText(text).replace(/^provincia de /, "")) || text
+}
+
+// Canonical spelling of the address parts: street name and number, city and province from the dataset
+const normalizeAddress = async (input) => {
+  const { name, number } = splitStreetNumber(input.street, input.number)
+  const streetName = formatName(name, { expandAbbreviations: true })
+
+  let city = formatName(input.city)
+  let state = input.state ? normalizeProvince(input.state) : undefined
+  const locality = city ? await GeoPlace.findOne({ kind: "locality", normalizedName: normalizeText(city) }) : null
+  if (locality) {
+    city = locality.name
+    state = state || locality.state
+  }
+
+  return {
+    label: input.label ? collapseSpaces(input.label) : undefined,
+    street: [streetName, number].filter(Boolean).join(" "),
+    number,
+    city,
+    state,
+    zipCode: input.zipCode ? collapseSpaces(input.zipCode).toUpperCase() : undefined,
+    country: input.country ? collapseSpaces(input.country) : "Argentina",
+    coordinates: { lat: Number(input.coordinates.lat), lng: Number(input.coordinates.lng) },
+    instructions: input.instructions ? collapseSpaces(input.instructions) : undefined,
+  }
+}
+
+// Compare the given coordinates with where the address text geocodes to
+const verifyAddress = async (address) => {
+  const checkedAt = new Date()
+  const [match] = await geocode([address.street, address.city].filter(Boolean).join(", "), { limit: 1 })
+
+  // Only a match on the house number says where the address should be; a street or city alone is too coarse
+  if (!match || match.kind !== "street" || !match.number) {
+    return { status: "unverified", checkedAt }
+  }
+
+  const distanceMeters = Math.round(distanceKm(address.coordinates, match.coordinates) * 1000)
+  return {
+    status: distanceMeters > MAX_MISMATCH_METERS ? "mismatch" : "verified",
+    distanceMeters,
+    geocodedCoordinates: match.coordinates,
+    checkedAt,
+  }
+}
+
+// Whether any active store delivers to the coordinates, and how many
+const getAddressCoverage = async (coordinates) => {
+  const stores = await Store.find({
+    isActive: true,
+    location: {
+      $geoWithin: { $centerSphere: [[coordinates.lng, coordinates.lat], COVERAGE_SEARCH_KM / 6378.1] },
+    },
+  }).select("location deliveryInfo")
+
+  const coverage = stores.length > 0 ? await DeliveryZone.getCoverageForStores(stores, coordinates) : []
+  const storeCount = coverage.filter((entry) => entry.canDeliver).length
+  return { deliverable: storeCount > 0, storeCount }
+}
+
+// Normalize an address, flag coordinates that do not match its text and report its coverage.
+// The returned address carries its validation so it is stored with it.
+const validateAddress = async (input) => {
+  const normalized = await normalizeAddress(input)
+  const [validation, coverage] = await Promise.all([
+    verifyAddress(normalized),
+    getAddressCoverage(normalized.coordinates),
+  ])
+
+  const { status, distanceMeters, checkedAt } = validation
+  return {
+    address: { ...normalized, validation: { status, distanceMeters, checkedAt } },
+    validation,
+    coverage,
+  }
+}
+
+// The validated address an order is delivered to. Coordinates that do not match the address text are only
+// accepted once the customer confirms them, and the order keeps the flag for the store and driver.
+const prepareDeliveryAddress = async (input, { confirmMismatch = false } = {}) => {
+  const { address, validation } = await validateAddress(input)
+  if (validation.status === "mismatch" && !confirmMismatch) {
+    throw new ErrorResponse("The delivery address does not match its location on the map", 409, { validation })
+  }
+  return address
+}
+
+module.exports = {
+  normalizeAddress,
+  verifyAddress,
+  getAddressCoverage,
+  validateAddress,
+  prepareDeliveryAddress,
+}
@@ -0,0 +1,106 @@
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const Order = require("../models/Order")
+const ErrorResponse = require("../utils/errorResponse")
+const { transitionOrder } = require("./orderStatus")
+const { validateCashCollection, recordCashCollection } = require("./driverCash")
+
+const MAX_PIN_ATTEMPTS = 5
+const UPLOADS_DIR = path.resolve("uploads") // where the upload route stores files
+
+// Load an order for the driver it is assigned to
+const findAssignedOrder = async (orderId, driver, { withPin = false } = {}) => {
+  const query = Order.findById(orderId)
+  if (withPin) query.select("+deliveryPin")
+
+  const order = await query
+  if (!order) {
+    throw new ErrorResponse("Order not found", 404)
+  }
+  if (!order.driver || order.driver.toString() !== driver.id) {
+    throw new ErrorResponse("This order is not assigned to you", 403)
+  }
+  return order
+}
+
+const pinMatches = (expected, given) =>
+  typeof given === "string" &&
+  given.length === expected.length &&
+  crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))
+
+// A photo proof must be a file previously stored by the upload route
+const uploadExists = async (photoUrl) => {
+  const match = /^\/uploads\/([\w.-]+)$/.exec(photoUrl)
+  if (!match) return false
+  try {
+    await fs.promises.access(path.join(UPLOADS_DIR, match[1]))
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// Driver picked the order up at the store
+const pickUpOrder = async (orderId, driver, io) => {
+  const order = await findAssignedOrder(orderId, driver)
+  return transitionOrder(order, "on_way", { user: driver, role: "driver", io })
+}
+
+// Driver handed the order over, proven by the customer's PIN or a photo from the upload route.
+// Wrong PINs are counted; after MAX_PIN_ATTEMPTS only a photo is accepted.
+// For cash orders the driver reports the cash received and the change given.
+const deliverOrder = async (orderId, driver, { pin, photoUrl, cash }, io) => {
+  const order = await findAssignedOrder(orderId, driver, { withPin: true })
+  if (order.status !== "on_way") {
+    throw new ErrorResponse(`Cannot deliver an order that is ${order.status}`, 409)
+  }
+  if (order.paymentInfo.method === "cash") {
+    validateCashCollection(order, cash)
+  }
+
+  if (pin) {
+    if (order.deliveryProof.pinAttempts >= MAX_PIN_ATTEMPTS) {
+      throw new ErrorResponse("Too many wrong PINs, upload a photo as proof of delivery", 429)
+    }
+    if (!pinMatches(order.deliveryPin, pin)) {
+      order.deliveryProof.pinAttempts += 1
+      await order.save()
+      throw new ErrorResponse("Incorrect delivery PIN", 400, {
+        attemptsLeft: MAX_PIN_ATTEMPTS - order.deliveryProof.pinAttempts,
+      })
+    }
+    order.deliveryProof.method = "pin"
+  } else {
+    if (!(await uploadExists(photoUrl))) {
+      throw new ErrorResponse("Proof of delivery photo not found, upload it first", 400)
+    }
+    order.deliveryProof.method = "photo"
+    order.deliveryProof.photoUrl = photoUrl
+  }
+  order.deliveryProof.recordedAt = new Date()
+
+  await transitionOrder(order, "delivered", { user: driver, role: "driver", io })
+  order.deliveryPin = undefined
+
+  if (order.paymentInfo.method === "cash") {
+    try {
+      await recordCashCollection(order, driver, cash)
+    } catch (error) {
+      console.error(`Cash collection of order ${order._id} error:`, error)
+    }
+  }
+  return order
+}
+
+// Driver could not hand the order over
+const reportFailedDelivery = async (orderId, driver, reason, io) => {
+  const order = await findAssignedOrder(orderId, driver)
+  return transitionOrder(order, "delivery_failed", { user: driver, role: "driver", reason, io })
+}
+
+module.exports = {
+  pickUpOrder,
+  deliverOrder,
+  reportFailedDelivery,
+}
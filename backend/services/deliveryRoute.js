@@ -0,0 +1,76 @@
+const RouteBreadcrumb = require("../models/RouteBreadcrumb")
+const { distanceKm } = require("../utils/geo")
+
+// A driver staying within this radius for at least this long counts as a stop
+const STOP_RADIUS_KM = Number(process.env.ROUTE_STOP_RADIUS_METERS || 40) / 1000
+const STOP_MIN_SECONDS = Number(process.env.ROUTE_STOP_MIN_SECONDS || 60)
+
+// Save one sampled position of the driver delivering an order
+const recordBreadcrumb = (order, driver, { lat, lng, speedKmh, updatedAt }) =>
+  RouteBreadcrumb.create({
+    meta: { order: order._id, driver: driver._id },
+    lat,
+    lng,
+    speedKmh,
+    status: order.status,
+    recordedAt: updatedAt || new Date(),
+  })
+
+// Places where the driver stayed put, with how long they stayed
+const findStops = (points) => {
+  const stops = []
+  let start = 0
+
+  while (start < points.length) {
+    let end = start + 1
+    while (end < points.length && distanceKm(points[start], points[end]) <= STOP_RADIUS_KM) {
+      end++
+    }
+
+    const arrivedAt = points[start].recordedAt
+    const departedAt = points[end - 1].recordedAt
+    const durationSeconds = Math.round((departedAt - arrivedAt) / 1000)
+
+    if (durationSeconds >= STOP_MIN_SECONDS) {
+      const cluster = points.slice(start, end)
+      stops.push({
+        lat: cluster.reduce((sum, point) => sum + point.lat, 0) / cluster.length,
+        lng: cluster.reduce((sum, point) => sum + point.lng, 0) / cluster.length,
+        arrivedAt,
+        departedAt,
+        durationSeconds,
+      })
+      start = end
+    } else {
+      start++
+    }
+  }
+
+  return stops
+}
+
+// Path the driver took for an order: the polyline, total distance travelled and the stops along it
+const getOrderRoute = async (orderId) => {
+  const points = await RouteBreadcrumb.find({ "meta.order": orderId })
+    .select("lat lng speedKmh status recordedAt")
+    .sort({ recordedAt: 1 })
+    .lean()
+
+  let travelledKm = 0
+  for (let i = 1; i < points.length; i++) {
+    travelledKm += distanceKm(points[i - 1], points[i])
+  }
+
+  return {
+    polyline: points.map(({ lat, lng, recordedAt, status }) => ({ lat, lng, recordedAt, status })),
+    distanceKm: Math.round(travelledKm * 100) / 100,
+    startedAt: points.length > 0 ? points[0].recordedAt : null,
+    endedAt: points.length > 0 ? points[points.length - 1].recordedAt : null,
+    stops: findStops(points),
+  }
+}
+
+module.exports = {
+  recordBreadcrumb,
+  getOrderRoute,
+}
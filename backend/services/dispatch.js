@@ -0,0 +1,220 @@
+const Order = require("../models/Order")
+const Store = require("../models/Store")
+const DriverStatus = require("../models/DriverStatus")
+const DispatchOffer = require("../models/DispatchOffer")
+const dispatchConfig = require("../config/dispatch")
+const ErrorResponse = require("../utils/errorResponse")
+
+// Statuses in which an order can be offered to drivers
+const DISPATCHABLE_STATUSES = ["preparing", "ready"]
+
+const emit = (io, room, event, payload) => {
+  if (io) io.to(room).emit(event, payload)
+}
+
+// Nearest online, free drivers around the store, leaving out the given ones
+const findCandidateDrivers = async (store, excludedDrivers) => {
+  const results = await DriverStatus.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: store.location.coordinates },
+        distanceField: "distance",
+        maxDistance: dispatchConfig.maxDistanceKm * 1000,
+        spherical: true,
+        query: {
+          isOnline: true,
+          activeOrder: null,
+          driver: { $nin: excludedDrivers },
+          lastLocationAt: { $gte: new Date(Date.now() - dispatchConfig.locationMaxAgeMinutes * 60 * 1000) },
+        },
+      },
+    },
+    { $limit: dispatchConfig.offersPerRound },
+  ])
+
+  return results.map((status) => ({ driver: status.driver, distanceKm: status.distance / 1000 }))
+}
+
+// Offer an order to the nearest eligible drivers that have not declined it or let it expire.
+// Does nothing while offers are still open or once a driver is assigned.
+const dispatchOrder = async (order, io) => {
+  if (order.driver || !DISPATCHABLE_STATUSES.includes(order.status)) return []
+
+  const openOffer = await DispatchOffer.exists({ order: order._id, status: "pending" })
+  if (openOffer) return []
+
+  const store = await Store.findById(order.store._id || order.store).select("name address location")
+  // Drivers who declined or let an offer expire have had their turn; the order moves on to the next ones
+  const pastOffers = await DispatchOffer.find({ order: order._id, status: { $in: ["declined", "expired"] } })
+    .select("driver")
+  const candidates = await findCandidateDrivers(store, pastOffers.map((offer) => offer.driver))
+  if (candidates.length === 0) return []
+
+  const expiresAt = new Date(Date.now() + dispatchConfig.offerTimeoutSeconds * 1000)
+  const offers = await DispatchOffer.insertMany(
+    candidates.map((candidate) => ({
+      order: order._id,
+      driver: candidate.driver,
+      distanceKm: Math.round(candidate.distanceKm * 100) / 100,
+      expiresAt,
+    })),
+  )
+
+  for (const offer of offers) {
+    emit(io, `driver-${offer.driver}`, "dispatch-offer", {
+      offerId: offer._id,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      store: { name: store.name, address: store.address, location: store.location },
+      deliveryAddress: order.deliveryAddress,
+      total: order.pricing.total,
+      distanceKm: offer.distanceKm,
+      expiresAt,
+    })
+  }
+
+  return offers
+}
+
+// Load a pending, unexpired offer addressed to the driver
+const findOpenOffer = async (offerId, driverId) => {
+  const offer = await DispatchOffer.findById(offerId)
+  if (!offer || offer.driver.toString() !== driverId.toString()) {
+    throw new ErrorResponse("Offer not found", 404)
+  }
+  if (offer.status !== "pending" || offer.expiresAt <= new Date()) {
+    throw new ErrorResponse("This offer is no longer available", 409)
+  }
+  return offer
+}
+
+// Withdraw the other drivers' open offers for an order
+const cancelOpenOffers = async (orderId, io) => {
+  const openOffers = await DispatchOffer.find({ order: orderId, status: "pending" }).select("driver")
+  if (openOffers.length === 0) return
+
+  await DispatchOffer.updateMany({ order: orderId, status: "pending" }, { status: "cancelled" })
+  for (const offer of openOffers) {
+    emit(io, `driver-${offer.driver}`, "dispatch-offer-cancelled", { offerId: offer._id, orderId })
+  }
+}
+
+// Accept an offer: the driver and the order are each claimed with a conditional update so that
+// a driver cannot take two orders and an order cannot get two drivers.
+const acceptOffer = async (offerId, driver, io) => {
+  const offer = await findOpenOffer(offerId, driver._id)
+
+  const driverStatus = await DriverStatus.findOneAndUpdate(
+    { driver: driver._id, isOnline: true, activeOrder: null },
+    { activeOrder: offer.order },
+  )
+  if (!driverStatus) {
+    throw new ErrorResponse("You must be online and free to accept an order", 409)
+  }
+
+  const order = await Order.findOneAndUpdate(
+    { _id: offer.order, driver: null, status: { $in: DISPATCHABLE_STATUSES } },
+    { driver: driver._id },
+    { new: true },
+  )
+  if (!order) {
+    await DriverStatus.updateOne({ driver: driver._id, activeOrder: offer.order }, { activeOrder: null })
+    await DispatchOffer.updateOne({ _id: offer._id, status: "pending" }, { status: "cancelled" })
+    throw new ErrorResponse("This order has already been assigned", 409)
+  }
+
+  offer.status = "accepted"
+  offer.respondedAt = new Date()
+  await offer.save()
+  await cancelOpenOffers(order._id, io)
+
+  const assignment = {
+    orderId: order._id,
+    driver: { id: driver._id, name: driver.name, phone: driver.phone },
+    timestamp: new Date(),
+  }
+  emit(io, `order-${order._id}`, "driver-assigned", assignment)
+  emit(io, `store-${order.store}`, "driver-assigned", assignment)
+
+  return order
+}
+
+// Decline an offer and, once no other offer for the order is open, re-offer it to the next drivers
+const declineOffer = async (offerId, driver, { reason, io } = {}) => {
+  const offer = await findOpenOffer(offerId, driver._id)
+
+  offer.status = "declined"
+  offer.respondedAt = new Date()
+  offer.declineReason = reason
+  await offer.save()
+
+  const order = await Order.findById(offer.order)
+  if (order) await dispatchOrder(order, io)
+
+  return offer
+}
+
+// Expire unanswered offers and offer their orders again, also retrying orders no driver was found for
+const expireOffers = async (io) => {
+  await DispatchOffer.updateMany({ status: "pending", expiresAt: { $lte: new Date() } }, { status: "expired" })
+
+  const waitingOrders = await Order.find({ status: { $in: DISPATCHABLE_STATUSES }, driver: null })
+  for (const order of waitingOrders) {
+    try {
+      await dispatchOrder(order, io)
+    } catch (error) {
+      console.error(`Dispatch order ${order._id} error:`, error)
+    }
+  }
+}
+
+// Set a driver online or offline. Going offline declines the driver's open offers.
+const setDriverOnline = async (driver, isOnline, io) => {
+  const status = await DriverStatus.findOneAndUpdate(
+    { driver: driver._id },
+    { isOnline, ...(isOnline && { lastOnlineAt: new Date() }) },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  )
+
+  if (!isOnline) {
+    const openOffers = await DispatchOffer.find({
+      driver: driver._id,
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    })
+    for (const offer of openOffers) {
+      await declineOffer(offer._id, driver, { reason: "Driver went offline", io })
+    }
+  }
+
+  return status
+}
+
+// Record a driver's position
+const updateDriverLocation = (driver, { lat, lng }) =>
+  DriverStatus.findOneAndUpdate(
+    { driver: driver._id },
+    { location: { type: "Point", coordinates: [lng, lat] }, lastLocationAt: new Date() },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  )
+
+// Free the driver of a finished or cancelled order and withdraw its open offers
+const releaseOrderDriver = async (order, io) => {
+  await cancelOpenOffers(order._id, io)
+  if (order.driver) {
+    await DriverStatus.updateOne(
+      { driver: order.driver._id || order.driver, activeOrder: order._id },
+      { activeOrder: null },
+    )
+  }
+}
+
+module.exports = {
+  dispatchOrder,
+  acceptOffer,
+  declineOffer,
+  expireOffers,
+  setDriverOnline,
+  updateDriverLocation,
+  releaseOrderDriver,
+}
@@ -0,0 +1,111 @@
+const DriverShift = require("../models/DriverShift")
+const paymentsConfig = require("../config/payments")
+const ErrorResponse = require("../utils/errorResponse")
+
+const round = (amount) => Math.round(amount * 100) / 100
+
+// The driver's open shift, opened now with the given float when there is none
+const openShift = async (driver, { openingFloat = 0 } = {}) => {
+  const driverId = driver._id || driver
+  const shift = await DriverShift.findOne({ driver: driverId, status: "open" })
+  if (shift) return shift
+
+  try {
+    return await DriverShift.create({
+      driver: driverId,
+      openingFloat,
+      cashBalance: openingFloat,
+      expectedCash: openingFloat,
+    })
+  } catch (error) {
+    // Opened concurrently by another request
+    if (error.code !== 11000) throw error
+    return DriverShift.findOne({ driver: driverId, status: "open" })
+  }
+}
+
+// Check what a driver reports for a cash order before it is marked delivered
+const validateCashCollection = (order, { received, changeGiven = 0 } = {}) => {
+  if (received == null) {
+    throw new ErrorResponse("Cash received is required for cash orders", 400)
+  }
+  if (changeGiven > received) {
+    throw new ErrorResponse("Change given cannot exceed the cash received", 400)
+  }
+}
+
+// Record the cash a driver took for a delivered cash order on the order and the driver's open shift.
+// Amounts that differ from the order total are kept as a discrepancy, not refused.
+const recordCashCollection = async (order, driver, { received, changeGiven = 0 }) => {
+  const collected = round(received - changeGiven)
+  const collection = {
+    order: order._id,
+    orderNumber: order.orderNumber,
+    expected: order.pricing.total,
+    received,
+    changeGiven,
+    collected,
+    discrepancy: round(collected - order.pricing.total),
+    recordedAt: new Date(),
+  }
+
+  // A shift closed in the meantime leaves the cash to the driver's next one
+  let shift = null
+  for (let attempt = 0; !shift && attempt < 2; attempt += 1) {
+    const open = await openShift(driver)
+    shift = await DriverShift.findOneAndUpdate(
+      { _id: open._id, status: "open" },
+      { $push: { collections: collection }, $inc: { cashBalance: collected, expectedCash: order.pricing.total } },
+      { new: true },
+    )
+  }
+  if (!shift) {
+    throw new Error(`No open shift to record the cash of order ${order._id}`)
+  }
+
+  order.cashCollection = { received, changeGiven, collected, shift: shift._id, recordedAt: collection.recordedAt }
+  order.paymentInfo.status = "paid"
+  order.paymentInfo.paidAt = collection.recordedAt
+  await order.save()
+  return shift
+}
+
+// Close a shift and reconcile the cash the driver handed in against the opening float plus the totals
+// of the cash orders delivered. Flagged when the difference exceeds the tolerance or any order was
+// collected short or over.
+const closeShift = async (shiftId, { countedCash, note }, admin) => {
+  // Closed first, so no more cash is added to the totals being reconciled
+  const shift = await DriverShift.findOneAndUpdate(
+    { _id: shiftId, status: "open" },
+    { status: "closed", closedAt: new Date() },
+    { new: true },
+  )
+  if (!shift) {
+    const exists = await DriverShift.exists({ _id: shiftId })
+    throw exists ? new ErrorResponse("Shift is already closed", 409) : new ErrorResponse("Shift not found", 404)
+  }
+
+  const tolerance = paymentsConfig.cashDiscrepancyTolerance
+  const discrepancy = round(countedCash - shift.expectedCash)
+  const result = Math.abs(discrepancy) <= tolerance ? "balanced" : discrepancy < 0 ? "short" : "over"
+  const collectedOff = shift.collections.some((collection) => Math.abs(collection.discrepancy) > tolerance)
+
+  shift.reconciliation = {
+    countedCash,
+    expectedCash: shift.expectedCash,
+    discrepancy,
+    result,
+    flagged: result !== "balanced" || collectedOff,
+    note,
+    closedBy: admin._id,
+  }
+  await shift.save()
+  return shift
+}
+
+module.exports = {
+  openShift,
+  validateCashCollection,
+  recordCashCollection,
+  closeShift,
+}
@@ -0,0 +1,247 @@
+const Order = require("../models/Order")
+const Store = require("../models/Store")
+const { distanceKm, fromGeoJSON } = require("../utils/geo")
+
+// Speed assumed until a driver has reported enough locations, in km/h
+const DEFAULT_SPEED_KMH = Number(process.env.ETA_DEFAULT_SPEED_KMH || 20)
+// Roads are longer than the straight line between two points
+const ROUTE_FACTOR = Number(process.env.ETA_ROUTE_FACTOR || 1.3)
+// Parking and handing the order over at each end of a trip
+const HANDOFF_MINUTES = Number(process.env.ETA_HANDOFF_MINUTES || 3)
+
+// Measured speeds are clamped so a traffic light does not produce an endless ETA
+const MIN_SPEED_KMH = 5
+const MAX_SPEED_KMH = 80
+// Weight of the newest sample in the moving average speed
+const SPEED_SMOOTHING = 0.3
+// Only samples this close together say anything about the current speed
+const MAX_SAMPLE_GAP_MS = 5 * 60 * 1000
+// Snapshots are only recorded when the ETA moved this much, or the last one is this old
+const MIN_ETA_CHANGE_MS = 60 * 1000
+const MAX_SNAPSHOT_AGE_MS = 5 * 60 * 1000
+const MAX_ETA_HISTORY = 200
+// Deliveries up to this many minutes after the ETA still count as on time
+const ON_TIME_TOLERANCE_MINUTES = Number(process.env.ETA_ON_TIME_TOLERANCE_MINUTES || 5)
+
+const MINUTE = 60 * 1000
+
+const travelMinutes = (km, speedKmh) => ((km * ROUTE_FACTOR) / speedKmh) * 60
+
+// Minutes from pickup to handoff for a trip of `km`, used when the order is placed
+const estimateDeliveryMinutes = (km) => Math.round(HANDOFF_MINUTES * 2 + travelMinutes(km, DEFAULT_SPEED_KMH))
+
+// Driver speed to plan with: the measured moving average once there is one
+const getPlanningSpeed = (order) => {
+  const measured = order.driverLocation && order.driverLocation.speedKmh
+  if (!measured) return DEFAULT_SPEED_KMH
+  return Math.min(MAX_SPEED_KMH, Math.max(MIN_SPEED_KMH, measured))
+}
+
+const hasDriverLocation = (order) =>
+  Boolean(order.driver && order.driverLocation && order.driverLocation.lat != null)
+
+// Remaining ETA for the order's current status, from the driver's position when known
+const computeEta = (order, store, now = new Date()) => {
+  const storePoint = fromGeoJSON(store.location.coordinates)
+  const customerPoint = order.deliveryAddress.coordinates
+  const speedKmh = getPlanningSpeed(order)
+  const tripKm = distanceKm(storePoint, customerPoint)
+
+  let remainingKm
+  let minutes
+
+  if (order.status === "on_way") {
+    const fromPoint = hasDriverLocation(order) ? order.driverLocation : storePoint
+    remainingKm = distanceKm(fromPoint, customerPoint)
+    minutes = travelMinutes(remainingKm, speedKmh) + HANDOFF_MINUTES
+  } else {
+    // Before pickup: whichever takes longer of finishing the food and the driver reaching the store
+    const startedAt = order.timing.confirmedAt || order.createdAt || now
+    const readyAt =
+      order.status === "ready" ? now : new Date(startedAt.getTime() + (order.timing.estimatedPreparation || 0) * MINUTE)
+    const prepMinutes = Math.max(0, (readyAt - now) / MINUTE)
+
+    const toStoreKm = hasDriverLocation(order) ? distanceKm(order.driverLocation, storePoint) : 0
+    const toStoreMinutes = hasDriverLocation(order) ? travelMinutes(toStoreKm, speedKmh) + HANDOFF_MINUTES : 0
+
+    remainingKm = toStoreKm + tripKm
+    minutes = Math.max(prepMinutes, toStoreMinutes) + travelMinutes(tripKm, speedKmh) + HANDOFF_MINUTES
+  }
+
+  // A scheduled order is not delivered before its slot
+  const requested = order.timing.requestedDeliveryTime
+  const eta = new Date(Math.max(now.getTime() + minutes * MINUTE, requested ? requested.getTime() : 0))
+
+  return {
+    eta,
+    remainingMinutes: Math.max(0, Math.round((eta - now) / MINUTE)),
+    distanceKm: Math.round(remainingKm * 100) / 100,
+    speedKmh: Math.round(speedKmh * 10) / 10,
+  }
+}
+
+// Record a new ETA on the order (without saving) when it changed enough; returns the snapshot or null
+const applyEta = (order, store, source, now = new Date()) => {
+  const estimate = computeEta(order, store, now)
+  const last = order.etaHistory[order.etaHistory.length - 1]
+
+  const changed =
+    !last ||
+    last.status !== order.status ||
+    Math.abs(last.eta - estimate.eta) >= MIN_ETA_CHANGE_MS ||
+    now - last.computedAt >= MAX_SNAPSHOT_AGE_MS
+  if (!changed) return null
+
+  const snapshot = { ...estimate, status: order.status, source, computedAt: now }
+  order.etaHistory.push(snapshot)
+  if (order.etaHistory.length > MAX_ETA_HISTORY) {
+    // Keep the promise made at placement for accuracy reports
+    order.etaHistory.splice(1, order.etaHistory.length - MAX_ETA_HISTORY)
+  }
+  order.timing.estimatedDeliveryAt = estimate.eta
+  return snapshot
+}
+
+const emitEta = (io, order, snapshot) => {
+  if (!io || !snapshot) return
+  io.to(`order-${order._id}`).emit("eta-updated", {
+    orderId: order._id,
+    status: order.status,
+    eta: snapshot.eta,
+    remainingMinutes: snapshot.remainingMinutes,
+    timestamp: snapshot.computedAt,
+  })
+}
+
+const loadStore = (order) =>
+  order.store && order.store.location
+    ? order.store
+    : Store.findById(order.store._id || order.store).select("location")
+
+// Recompute and save the ETA after the order changed status
+const refreshEta = async (order, io) => {
+  const store = await loadStore(order)
+  const snapshot = applyEta(order, store, "status")
+  if (!snapshot) return null
+
+  await order.save()
+  emitEta(io, order, snapshot)
+  return snapshot
+}
+
+// Store a new driver position with its moving average speed, then recompute the ETA.
+// `order` must be loaded as a document; it is saved once with both changes.
+const trackDriverLocation = async (order, { lat, lng }, io, now = new Date()) => {
+  const previous = order.driverLocation
+  let speedKmh = previous && previous.speedKmh
+
+  if (previous && previous.lat != null && previous.updatedAt) {
+    const elapsedMs = now - previous.updatedAt
+    if (elapsedMs > 0 && elapsedMs <= MAX_SAMPLE_GAP_MS) {
+      const sample = Math.min(MAX_SPEED_KMH, distanceKm(previous, { lat, lng }) / (elapsedMs / (60 * MINUTE)))
+      speedKmh = speedKmh ? SPEED_SMOOTHING * sample + (1 - SPEED_SMOOTHING) * speedKmh : sample
+    }
+  }
+
+  order.driverLocation = {
+    lat,
+    lng,
+    updatedAt: now,
+    speedKmh: speedKmh != null ? Math.round(speedKmh * 10) / 10 : undefined,
+  }
+
+  const store = await loadStore(order)
+  const snapshot = applyEta(order, store, "location", now)
+  await order.save()
+  emitEta(io, order, snapshot)
+
+  return order.driverLocation
+}
+
+// Error statistics, in minutes, of one estimate per delivered order (late deliveries are positive)
+const accuracyStats = (prefix, estimate) => ({
+  [`${prefix}Count`]: { $sum: { $cond: [{ $ifNull: [estimate, false] }, 1, 0] } },
+  [`${prefix}MeanError`]: { $avg: { $divide: [{ $subtract: ["$timing.deliveredAt", estimate] }, MINUTE] } },
+  [`${prefix}MeanAbsoluteError`]: {
+    $avg: { $abs: { $divide: [{ $subtract: ["$timing.deliveredAt", estimate] }, MINUTE] } },
+  },
+  [`${prefix}OnTime`]: {
+    $sum: {
+      $cond: [
+        {
+          $and: [
+            { $ifNull: [estimate, false] },
+            { $lte: ["$timing.deliveredAt", { $add: [estimate, ON_TIME_TOLERANCE_MINUTES * MINUTE] }] },
+          ],
+        },
+        1,
+        0,
+      ],
+    },
+  },
+})
+
+const round = (value) => (value == null ? null : Math.round(value * 10) / 10)
+
+// How close a store's ETAs came to the actual delivery time: the estimate given at placement
+// and the one given when the driver picked the order up
+const getEtaAccuracy = async (storeId, { from, to }) => {
+  const [result] = await Order.aggregate([
+    {
+      $match: {
+        store: storeId,
+        status: "delivered",
+        "timing.deliveredAt": { $gte: from, $lte: to },
+        "etaHistory.0": { $exists: true },
+      },
+    },
+    {
+      $project: {
+        timing: 1,
+        placement: { $arrayElemAt: ["$etaHistory.eta", 0] },
+        pickup: {
+          $arrayElemAt: [
+            { $filter: { input: "$etaHistory", as: "entry", cond: { $eq: ["$$entry.status", "on_way"] } } },
+            0,
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        orders: { $sum: 1 },
+        ...accuracyStats("placement", "$placement"),
+        ...accuracyStats("pickup", "$pickup.eta"),
+      },
+    },
+  ])
+
+  const summarize = (prefix) => {
+    const count = result ? result[`${prefix}Count`] : 0
+    return {
+      count,
+      meanErrorMinutes: count ? round(result[`${prefix}MeanError`]) : null,
+      meanAbsoluteErrorMinutes: count ? round(result[`${prefix}MeanAbsoluteError`]) : null,
+      onTimeRate: count ? Math.round((result[`${prefix}OnTime`] / count) * 1000) / 1000 : null,
+    }
+  }
+
+  return {
+    from,
+    to,
+    orders: result ? result.orders : 0,
+    onTimeToleranceMinutes: ON_TIME_TOLERANCE_MINUTES,
+    atPlacement: summarize("placement"),
+    atPickup: summarize("pickup"),
+  }
+}
+
+module.exports = {
+  estimateDeliveryMinutes,
+  computeEta,
+  applyEta,
+  refreshEta,
+  trackDriverLocation,
+  getEtaAccuracy,
+}
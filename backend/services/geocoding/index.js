@@ -0,0 +1,93 @@
+const GeocodeCache = require("../../models/GeocodeCache")
+const localProvider = require("./localProvider")
+const { normalizeText } = require("./text")
+const ErrorResponse = require("../../utils/errorResponse")
+
+// How long results are reused before asking the provider again
+const CACHE_TTL_HOURS = Number(process.env.GEOCODING_CACHE_TTL_HOURS || 24 * 7)
+
+// Geocoding providers by name. A provider is an object with a `name` and three async methods,
+// each resolving to a list of results shaped like the local provider's
+// ({ coordinates: { lat, lng }, address, street, number, city, state, country, kind, confidence }):
+//   geocode(query, { limit })           address text to places
+//   reverse({ lat, lng })               coordinates to the nearest address
+//   autocomplete(query, { near, limit }) suggestions for a partial address
+const providers = new Map([[localProvider.name, localProvider]])
+
+// Make a third-party provider available; select it with GEOCODING_PROVIDER
+const registerProvider = (provider) => {
+  for (const method of ["geocode", "reverse", "autocomplete"]) {
+    if (typeof provider[method] !== "function") {
+      throw new Error(`Geocoding provider ${provider.name} must implement ${method}()`)
+    }
+  }
+  providers.set(provider.name, provider)
+}
+
+const getProvider = () => {
+  const name = process.env.GEOCODING_PROVIDER || localProvider.name
+  const provider = providers.get(name)
+  if (!provider) {
+    throw new ErrorResponse(`Geocoding provider "${name}" is not registered`, 500)
+  }
+  return provider
+}
+
+// Results of a provider call, from the cache while fresh. Cache failures never fail the lookup.
+const cached = async (provider, key, lookup) => {
+  const cacheKey = `${provider.name}:${key}`
+
+  try {
+    const entry = await GeocodeCache.findOne({ key: cacheKey, expiresAt: { $gt: new Date() } }).lean()
+    if (entry) return entry.results
+  } catch (error) {
+    console.error("Geocode cache read error:", error)
+  }
+
+  const results = await lookup()
+
+  try {
+    await GeocodeCache.updateOne(
+      { key: cacheKey },
+      { provider: provider.name, results, expiresAt: new Date(Date.now() + CACHE_TTL_HOURS * 60 * 60 * 1000) },
+      { upsert: true },
+    )
+  } catch (error) {
+    console.error("Geocode cache write error:", error)
+  }
+
+  return results
+}
+
+// Places matching an address, best match first
+const geocode = (query, { limit = 5 } = {}) => {
+  const provider = getProvider()
+  return cached(provider, `geocode:${limit}:${normalizeText(query)}`, () => provider.geocode(query, { limit }))
+}
+
+// Address at a position; coordinates are rounded to about 1 m for the cache key
+const reverseGeocode = ({ lat, lng }) => {
+  const provider = getProvider()
+  return cached(provider, `reverse:${lat.toFixed(5)},${lng.toFixed(5)}`, () => provider.reverse({ lat, lng }))
+}
+
+// Suggestions while the user types an address, near a position when given
+const autocomplete = (query, { near, limit = 8 } = {}) => {
+  const provider = getProvider()
+  const nearKey = near ? `${near.lat.toFixed(2)},${near.lng.toFixed(2)}` : ""
+  return cached(provider, `autocomplete:${limit}:${nearKey}:${normalizeText(query)}`, () =>
+    provider.autocomplete(query, { near, limit }),
+  )
+}
+
+// Forget cached results of a provider, e.g. after importing a new dataset
+const clearCache = (providerName = getProvider().name) => GeocodeCache.deleteMany({ provider: providerName })
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  geocode,
+  reverseGeocode,
+  autocomplete,
+  clearCache,
+}
@@ -0,0 +1,167 @@
+const GeoPlace = require("../../models/GeoPlace")
+const { distanceKm } = require("../../utils/geo")
+const { normalizeText, normalizeStreetName, escapeRegex, parseAddressQuery } = require("./text")
+
+// Farthest a point can be from a street for reverse geocoding to name it
+const REVERSE_MAX_METERS = Number(process.env.GEOCODING_REVERSE_MAX_METERS || 150)
+const LOCALITY_MAX_METERS = 30 * 1000
+
+const toLatLng = ([lng, lat]) => ({ lat, lng })
+
+const round = (value) => Math.round(value * 1e6) / 1e6
+
+// Point a fraction `t` of the way along a segment's line
+const interpolate = ([start, end], t) => ({
+  lat: round(start[1] + (end[1] - start[1]) * t),
+  lng: round(start[0] + (end[0] - start[0]) * t),
+})
+
+// Fraction of the way along a segment's line closest to a point (flat projection, fine at street scale)
+const projectOnto = ([start, end], { lat, lng }) => {
+  const dx = end[0] - start[0]
+  const dy = end[1] - start[1]
+  const lengthSquared = dx * dx + dy * dy
+  if (lengthSquared === 0) return 0
+  return Math.min(1, Math.max(0, ((lng - start[0]) * dx + (lat - start[1]) * dy) / lengthSquared))
+}
+
+const toResult = (place, { coordinates, number, confidence }) => ({
+  coordinates,
+  address: place.kind === "street" ? [place.name, number].filter(Boolean).join(" ") : place.name,
+  street: place.kind === "street" ? place.name : undefined,
+  number: number || undefined,
+  city: place.kind === "street" ? place.locality : place.name,
+  state: place.state,
+  country: place.country,
+  kind: place.kind,
+  confidence,
+})
+
+// Street results for a parsed query: the segment holding the house number, or each matching street's middle
+const geocodeStreet = async ({ street, number, locality }) => {
+  const segments = await GeoPlace.find({
+    kind: "street",
+    normalizedName: { $regex: `^${escapeRegex(street)}` },
+    ...(locality && { normalizedLocality: locality }),
+  })
+    .sort({ normalizedName: 1, "numbers.from": 1 })
+    .limit(200)
+
+  const results = []
+  const seen = new Set()
+  for (const segment of segments) {
+    const exactName = segment.normalizedName === street
+    const key = `${segment.normalizedName}|${segment.normalizedLocality}`
+
+    if (number != null) {
+      const { from, to } = segment.numbers || {}
+      if (from == null || number < from || number > to) continue
+      const t = to === from ? 0.5 : (number - from) / (to - from)
+      results.push(
+        toResult(segment, {
+          coordinates: interpolate(segment.geometry.coordinates, t),
+          number,
+          confidence: exactName ? 1 : 0.8,
+        }),
+      )
+    } else if (!seen.has(key)) {
+      seen.add(key)
+      results.push(
+        toResult(segment, {
+          coordinates: interpolate(segment.geometry.coordinates, 0.5),
+          confidence: exactName ? 0.6 : 0.5,
+        }),
+      )
+    }
+  }
+
+  return results
+}
+
+const geocodeLocality = async (name) => {
+  const localities = await GeoPlace.find({
+    kind: "locality",
+    normalizedName: { $regex: `^${escapeRegex(name)}` },
+  }).limit(10)
+
+  return localities.map((locality) =>
+    toResult(locality, {
+      coordinates: toLatLng(locality.geometry.coordinates),
+      confidence: locality.normalizedName === name ? 0.4 : 0.3,
+    }),
+  )
+}
+
+// Local dataset provider (see scripts/importGeoPlaces.js). Implements the provider interface
+// of services/geocoding: geocode, reverse and autocomplete, each resolving to a list of results.
+const localProvider = {
+  name: "local",
+
+  async geocode(query, { limit = 5 } = {}) {
+    const parsed = parseAddressQuery(query)
+    if (!parsed.street) return []
+
+    let results = await geocodeStreet(parsed)
+    // A house number outside every known range still finds the street
+    if (results.length === 0 && parsed.number != null) {
+      results = await geocodeStreet({ ...parsed, number: null })
+    }
+    if (results.length === 0) {
+      results = await geocodeLocality(parsed.locality || parsed.street)
+    }
+
+    return results.sort((a, b) => b.confidence - a.confidence).slice(0, limit)
+  },
+
+  async reverse(coordinates) {
+    const point = { type: "Point", coordinates: [coordinates.lng, coordinates.lat] }
+
+    const [segment] = await GeoPlace.find({
+      kind: "street",
+      geometry: { $near: { $geometry: point, $maxDistance: REVERSE_MAX_METERS } },
+    }).limit(1)
+    if (segment) {
+      const t = projectOnto(segment.geometry.coordinates, coordinates)
+      const { from, to } = segment.numbers || {}
+      const number = from != null ? Math.round(from + (to - from) * t) : undefined
+      return [toResult(segment, { coordinates, number, confidence: 0.9 })]
+    }
+
+    const [locality] = await GeoPlace.find({
+      kind: "locality",
+      geometry: { $near: { $geometry: point, $maxDistance: LOCALITY_MAX_METERS } },
+    }).limit(1)
+    return locality ? [toResult(locality, { coordinates, confidence: 0.3 })] : []
+  },
+
+  async autocomplete(query, { near, limit = 8 } = {}) {
+    const prefix = normalizeStreetName(query)
+    if (!prefix) return []
+
+    const places = await GeoPlace.find({
+      normalizedName: { $regex: `^${escapeRegex(prefix)}` },
+    })
+      .sort({ kind: 1, normalizedName: 1 })
+      .limit(200)
+
+    // One suggestion per street and locality, the closest first when a position is given
+    const suggestions = new Map()
+    for (const place of places) {
+      const key = `${place.kind}|${place.normalizedName}|${place.normalizedLocality || ""}`
+      if (suggestions.has(key)) continue
+
+      const coordinates =
+        place.kind === "street" ? interpolate(place.geometry.coordinates, 0.5) : toLatLng(place.geometry.coordinates)
+      suggestions.set(key, {
+        ...toResult(place, { coordinates, confidence: normalizeText(place.name) === normalizeText(query) ? 1 : 0.5 }),
+        distanceKm: near ? Math.round(distanceKm(near, coordinates) * 100) / 100 : undefined,
+      })
+    }
+
+    const results = [...suggestions.values()]
+    if (near) results.sort((a, b) => a.distanceKm - b.distanceKm)
+    return results.slice(0, limit)
+  },
+}
+
+module.exports = localProvider
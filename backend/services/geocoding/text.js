@@ -0,0 +1,36 @@
+// Street type words left out when comparing names, so "Av. Aconquija" matches "Avenida Aconquija"
+const STREET_PREFIXES = /^(avenida|av|avda|calle|pasaje|pje|boulevard|bulevar|bv|ruta|camino)\s+/
+
+// Lowercase, without accents, punctuation or repeated spaces
+const normalizeText = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+
+const normalizeStreetName = (name) => normalizeText(name).replace(STREET_PREFIXES, "")
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// "Av. Aconquija 1800, Yerba Buena" -> { street: "aconquija", number: 1800, locality: "yerba buena" }
+const parseAddressQuery = (query) => {
+  const [first = "", second] = String(query).split(",")
+  const address = normalizeText(first).replace(/\b(n|nro|numero)\s+(?=\d)/, "")
+  const match = address.match(/^(.*?)\s+(\d+)$/)
+
+  return {
+    street: normalizeStreetName(match ? match[1] : address),
+    number: match ? Number(match[2]) : null,
+    locality: second ? normalizeText(second) : null,
+  }
+}
+
+module.exports = {
+  normalizeText,
+  normalizeStreetName,
+  escapeRegex,
+  parseAddressQuery,
+}
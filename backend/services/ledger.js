@@ -0,0 +1,146 @@
+const mongoose = require("mongoose")
+const LedgerEntry = require("../models/LedgerEntry")
+const Category = require("../models/Category")
+const Store = require("../models/Store")
+const platformPricing = require("../config/pricing")
+
+const round = (amount) => Math.round(amount * 100) / 100
+
+// Record ledger lines ({ account, debit, credit }) as one journal. Refuses journals whose debits
+// and credits differ; lines of zero are left out.
+const postJournal = async ({
+  type,
+  store,
+  order,
+  refund,
+  payoutStatement,
+  description,
+  occurredAt = new Date(),
+  lines,
+}) => {
+  const debits = round(lines.reduce((sum, line) => sum + (line.debit || 0), 0))
+  const credits = round(lines.reduce((sum, line) => sum + (line.credit || 0), 0))
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ${type} journal: debits ${debits}, credits ${credits}`)
+  }
+
+  const journal = new mongoose.Types.ObjectId()
+  return LedgerEntry.insertMany(
+    lines
+      .filter((line) => line.debit || line.credit)
+      .map((line) => ({
+        journal,
+        type,
+        account: line.account,
+        debit: round(line.debit || 0),
+        credit: round(line.credit || 0),
+        store,
+        order,
+        refund,
+        payoutStatement,
+        description,
+        occurredAt,
+      })),
+  )
+}
+
+// Platform commission of a store: its own rate, then its category's, then the platform default
+const getCommissionRate = async (store) => {
+  if (store.commissionRate != null) return store.commissionRate
+
+  const category = store.category && (await Category.findById(store.category._id || store.category))
+  if (category && category.commissionRate != null) return category.commissionRate
+
+  return platformPricing.commissionRate
+}
+
+// How an order total divides between the store and the platform. The commission is taken on what the
+// customer paid for the items (after coupons and loyalty points); tax and fees are not the store's.
+const getOrderSplit = (order) => {
+  const { subtotal, deliveryFee = 0, smallOrderFee = 0, serviceFee = 0, tax = 0, total } = order.pricing
+  const { discount = 0, loyaltyDiscount = 0 } = order.pricing
+  const freeDelivery = Boolean(order.coupon && order.coupon.type === "freeDelivery")
+
+  const items = Math.max(0, round(subtotal - (freeDelivery ? 0 : discount) - loyaltyDiscount))
+  const delivery = freeDelivery ? Math.max(0, round(deliveryFee - discount)) : deliveryFee
+  const rate = order.commissionRate != null ? order.commissionRate : platformPricing.commissionRate
+  const commission = round(items * rate)
+
+  return {
+    total,
+    items,
+    tax,
+    deliveryFee: delivery,
+    serviceFee: round(serviceFee + smallOrderFee),
+    commission,
+    // Whatever rounding leaves over stays with the store
+    merchant: round(total - tax - delivery - serviceFee - smallOrderFee - commission),
+  }
+}
+
+// Record a delivered order: what the customer paid, owed to the store, the platform and the tax authority.
+// Posted once per order; the store's share is added to its revenue.
+const postOrderJournal = async (order, occurredAt = new Date()) => {
+  if (await LedgerEntry.exists({ order: order._id, type: "order" })) return null
+
+  const split = getOrderSplit(order)
+  const storeId = order.store._id || order.store
+  const entries = await postJournal({
+    type: "order",
+    store: storeId,
+    order: order._id,
+    description: `Order ${order.orderNumber}`,
+    occurredAt,
+    lines: [
+      { account: "customer_payments", debit: split.total },
+      { account: "merchant_payable", credit: split.merchant },
+      { account: "platform_commission", credit: split.commission },
+      { account: "tax", credit: split.tax },
+      { account: "delivery_fees", credit: split.deliveryFee },
+      { account: "service_fees", credit: split.serviceFee },
+    ],
+  })
+  await Store.updateOne({ _id: storeId }, { $inc: { totalRevenue: split.merchant } })
+  return entries
+}
+
+// Record a refund of `amount`, of which `itemsAmount` pays back items and `deliveryFee` the delivery fee.
+// The items part reverses the store's share, the commission and the tax in the order's proportions; the
+// platform bears the delivery fee and the rest (service and small-order fees). The store's share comes off
+// its revenue.
+const postRefundJournal = async (order, refund, { itemsAmount, deliveryFee, amount }) => {
+  const split = getOrderSplit(order)
+  const items = Math.min(itemsAmount, amount)
+  const ratio = split.items + split.tax > 0 ? items / (split.items + split.tax) : 0
+  const tax = Math.min(round(split.tax * ratio), items)
+  const commission = Math.min(round(split.commission * ratio), round(items - tax))
+  const delivery = Math.min(deliveryFee, round(amount - items))
+  const merchant = round(items - tax - commission)
+  const storeId = order.store._id || order.store
+
+  const entries = await postJournal({
+    type: "refund",
+    store: storeId,
+    order: order._id,
+    refund: refund._id,
+    description: `Refund of order ${order.orderNumber} (${refund.reasonCode})`,
+    lines: [
+      { account: "merchant_payable", debit: merchant },
+      { account: "platform_commission", debit: commission },
+      { account: "tax", debit: tax },
+      { account: "delivery_fees", debit: delivery },
+      { account: "service_fees", debit: Math.max(0, round(amount - items - delivery)) },
+      { account: "customer_payments", credit: amount },
+    ],
+  })
+  await Store.updateOne({ _id: storeId }, { $inc: { totalRevenue: -merchant } })
+  return entries
+}
+
+module.exports = {
+  postJournal,
+  getCommissionRate,
+  getOrderSplit,
+  postOrderJournal,
+  postRefundJournal,
+}
@@ -0,0 +1,344 @@
+const mongoose = require("mongoose")
+const Order = require("../models/Order")
+const Store = require("../models/Store")
+const Product = require("../models/Product")
+const User = require("../models/User")
+const Coupon = require("../models/Coupon")
+const { quote } = require("./pricing")
+const { findNextAvailableSlot, reserveSlot, releaseSlot } = require("./scheduling")
+const { autoAcceptOrder, estimatePreparationTime, getHourlyLoad } = require("./storeCapacity")
+const { computeEta, estimateDeliveryMinutes } = require("./eta")
+const { transitionOrder } = require("./orderStatus")
+const { authorizePayment } = require("./payments")
+const { getCommissionRate } = require("./ledger")
+const ErrorResponse = require("../utils/errorResponse")
+
+// Run compensating actions in reverse order, logging (not throwing) failures
+const rollback = async (compensations) => {
+  for (const compensate of compensations.reverse()) {
+    try {
+      await compensate()
+    } catch (error) {
+      console.error("Order placement rollback error:", error)
+    }
+  }
+}
+
+// Atomically decrement stock for each line. Products with unlimited stock (null) only count the order.
+// Every line is attempted so the caller learns about all shortages at once.
+const reserveStock = async (orderItems, compensations) => {
+  const failures = []
+
+  for (const [index, item] of orderItems.entries()) {
+    const unlimited = await Product.findOneAndUpdate(
+      { _id: item.product, isAvailable: true, stock: null },
+      { $inc: { totalOrders: item.quantity } },
+      { new: true },
+    )
+    if (unlimited) {
+      compensations.push(() => Product.updateOne({ _id: item.product }, { $inc: { totalOrders: -item.quantity } }))
+      continue
+    }
+
+    const reserved = await Product.findOneAndUpdate(
+      { _id: item.product, isAvailable: true, stock: { $gte: item.quantity } },
+      { $inc: { stock: -item.quantity, totalOrders: item.quantity } },
+      { new: true },
+    )
+    if (reserved) {
+      compensations.push(() =>
+        Product.updateOne({ _id: item.product }, { $inc: { stock: item.quantity, totalOrders: -item.quantity } }),
+      )
+      continue
+    }
+
+    const current = await Product.findById(item.product).select("stock isAvailable")
+    failures.push({
+      index,
+      productId: item.product,
+      name: item.name,
+      requested: item.quantity,
+      available: current && current.isAvailable ? current.stock : 0,
+      reason: "insufficient_stock",
+    })
+  }
+
+  return failures
+}
+
+// Place an order all-or-nothing: stock reservations, the coupon usage, redeemed and earned loyalty points,
+// the order document and store stats are each paired with a compensating action that runs if a later step fails.
+// Conditional updates are used instead of a transaction so this also works on a standalone mongod.
+// Card and wallet orders wait in "awaiting_payment" until the payment is authorized; a declined payment
+// undoes the placement.
+const placeOrder = async ({
+  user,
+  store,
+  items,
+  deliveryAddress,
+  contactInfo,
+  paymentMethod,
+  paymentToken,
+  specialInstructions,
+  couponCode,
+  loyaltyPoints = 0,
+  scheduledFor,
+  acceptNextSlot = false,
+}) => {
+  // A paused store only takes scheduled orders for after the pause ends
+  if (!store.isAcceptingOrders(scheduledFor)) {
+    throw new ErrorResponse("Store is not accepting orders right now", 400, {
+      pausedUntil: store.settings.pausedUntil,
+      reason: store.settings.pauseReason,
+    })
+  }
+
+  // Orders for now need the store open; scheduled ones are checked against the slot's opening hours
+  if (!scheduledFor) {
+    const openStatus = store.getOpenStatus()
+    if (!openStatus.isOpen) {
+      throw new ErrorResponse("Store is currently closed", 400, { nextOpenAt: openStatus.nextOpenAt })
+    }
+
+    // At the hourly cap the order is refused, or moved to the next free slot when the customer agreed to that
+    const load = await getHourlyLoad(store)
+    if (load.atCapacity) {
+      const nextSlot = await findNextAvailableSlot(store)
+      if (!acceptNextSlot || !nextSlot) {
+        throw new ErrorResponse(
+          nextSlot
+            ? `Store is at capacity right now. The next available delivery slot is ${nextSlot.label}`
+            : "Store is at capacity right now, please try again later",
+          409,
+          { reason: "store_at_capacity", nextSlot },
+        )
+      }
+      scheduledFor = nextSlot.startsAt
+    }
+  }
+
+  const { orderItems, failures, coupon, pricing, distanceKm, coverage } = await quote({
+    user,
+    store,
+    items,
+    deliveryCoordinates: deliveryAddress.coordinates,
+    couponCode,
+    loyaltyPoints,
+  })
+  if (failures.length > 0) {
+    throw new ErrorResponse("Some items cannot be ordered", 409, { items: failures })
+  }
+
+  if (!pricing.minimumOrder.met && !pricing.minimumOrder.smallOrderFee) {
+    throw new ErrorResponse(`Minimum order for this store is $${pricing.minimumOrder.amount}`, 400)
+  }
+
+  // Calculate estimated delivery time: the delivery zone's when it sets one
+  const zoneEta = coverage && coverage.zone && coverage.zone.estimatedDeliveryTime
+  const estimatedDelivery = zoneEta && zoneEta.max ? zoneEta.max : estimateDeliveryMinutes(distanceKm)
+  const estimatedPreparation = scheduledFor ? store.settings.preparationTime : await estimatePreparationTime(store)
+
+  const orderId = new mongoose.Types.ObjectId()
+  const compensations = []
+  let order
+
+  try {
+    const stockFailures = await reserveStock(orderItems, compensations)
+    if (stockFailures.length > 0) {
+      throw new ErrorResponse("Insufficient stock for some items", 409, { items: stockFailures })
+    }
+
+    if (coupon) {
+      const reserved = await Coupon.reserveUsage(coupon._id, user._id, orderId, pricing.discount)
+      if (!reserved) {
+        throw new ErrorResponse("Coupon usage limit reached", 409)
+      }
+      compensations.push(() => Coupon.releaseUsage(coupon._id, orderId))
+    }
+
+    // Hold capacity in the requested delivery slot
+    let slot = null
+    if (scheduledFor) {
+      slot = await reserveSlot(store, scheduledFor, orderId)
+      compensations.push(() => releaseSlot(slot._id, orderId))
+    }
+
+    // Redeem loyalty points, re-checking the balance in the same update
+    if (pricing.loyaltyPointsUsed > 0) {
+      const redeemed = await User.findOneAndUpdate(
+        { _id: user._id, loyaltyPoints: { $gte: pricing.loyaltyPointsUsed } },
+        { $inc: { loyaltyPoints: -pricing.loyaltyPointsUsed } },
+      )
+      if (!redeemed) {
+        throw new ErrorResponse("Not enough loyalty points", 409)
+      }
+      compensations.push(() =>
+        User.updateOne({ _id: user._id }, { $inc: { loyaltyPoints: pricing.loyaltyPointsUsed } }),
+      )
+    }
+
+    // First ETA promised to the customer, later compared with the actual delivery time
+    const status = slot ? "scheduled" : "pending"
+    const timing = {
+      estimatedPreparation,
+      estimatedDelivery,
+      requestedDeliveryTime: slot ? slot.startsAt : undefined,
+      releaseAt: slot
+        ? new Date(slot.startsAt.getTime() - (estimatedPreparation + estimatedDelivery) * 60 * 1000)
+        : undefined,
+    }
+    const initialEta = computeEta({ status, deliveryAddress, timing }, store)
+    timing.estimatedDeliveryAt = initialEta.eta
+
+    // Fixed at placement, so later rate changes do not alter what the order owes
+    const commissionRate = await getCommissionRate(store)
+
+    order = await Order.create({
+      _id: orderId,
+      customer: user._id,
+      store: store._id,
+      status: paymentMethod === "cash" ? status : "awaiting_payment",
+      items: orderItems,
+      deliveryAddress,
+      contactInfo,
+      paymentInfo: {
+        method: paymentMethod,
+        status: "pending",
+      },
+      pricing: {
+        subtotal: pricing.subtotal,
+        deliveryFee: pricing.deliveryFee,
+        smallOrderFee: pricing.smallOrderFee,
+        serviceFee: pricing.serviceFee,
+        tax: pricing.tax,
+        discount: pricing.discount,
+        loyaltyDiscount: pricing.loyaltyDiscount,
+        total: pricing.total,
+        breakdown: pricing.breakdown,
+      },
+      coupon: coupon
+        ? {
+            couponId: coupon._id,
+            code: coupon.code,
+            type: coupon.discountType,
+            discount: coupon.discountValue,
+          }
+        : undefined,
+      timing,
+      etaHistory: [{ ...initialEta, status, source: "placement" }],
+      deliverySlot: slot ? slot._id : undefined,
+      specialInstructions,
+      loyaltyPointsUsed: pricing.loyaltyPointsUsed,
+      commissionRate,
+    })
+    compensations.push(() => Order.deleteOne({ _id: orderId }))
+
+    // Update store stats
+    // Revenue is credited from the ledger once the order is delivered
+    await Store.updateOne({ _id: store._id }, { $inc: { totalOrders: 1 } })
+    compensations.push(() => Store.updateOne({ _id: store._id }, { $inc: { totalOrders: -1 } }))
+
+    // Add loyalty points to user
+    const loyaltyPoints = Math.floor(pricing.total / 10)
+    await User.updateOne({ _id: user._id }, { $inc: { loyaltyPoints } })
+    compensations.push(() => User.updateOne({ _id: user._id }, { $inc: { loyaltyPoints: -loyaltyPoints } }))
+
+    // Last, so nothing after it can fail and leave funds held for an order that was rolled back
+    if (paymentMethod !== "cash") {
+      const payment = await authorizePayment(order, { token: paymentToken })
+      if (payment.status === "failed") {
+        throw new ErrorResponse("Payment was declined", 402, {
+          reason: payment.failureCode,
+          message: payment.failureMessage,
+        })
+      }
+    }
+  } catch (error) {
+    await rollback(compensations)
+    throw error
+  }
+
+  // Payments the provider confirms later are picked up by the syncPendingPayments job
+  if (order.status === "awaiting_payment") {
+    if (order.paymentInfo.status !== "authorized") return order
+    // Already released by the sync job or a webhook, which also handled auto-accepting it
+    if (!(await releasePaidOrder(order))) return Order.findById(order._id)
+  }
+
+  return autoAcceptOrder(order, store)
+}
+
+// Transition an order on behalf of the system, resolving to false instead of throwing when another request
+// moved it out of its status first (see transitionOrder)
+const transitionIfUnchanged = async (order, status, options) => {
+  try {
+    await transitionOrder(order, status, { ...options, role: "system" })
+    return true
+  } catch (error) {
+    if (error.statusCode === 409) return false
+    throw error
+  }
+}
+
+// Hand an order whose payment was authorized to the store, or to its delivery slot. Placement, the sync job
+// and webhooks can all see the payment confirmed at once; only the first to move the order out of
+// awaiting_payment releases it. Resolves to whether this call released it.
+const releasePaidOrder = (order, io) =>
+  transitionIfUnchanged(order, order.deliverySlot ? "scheduled" : "pending", { reason: "Payment authorized", io })
+
+// Cancel an order whose payment was declined or never confirmed, and undo what placing it counted in the
+// store stats. Cancelling also returns the stock, coupon, slot and loyalty points, and voids the payment.
+// Resolves to null when the order was settled or cancelled concurrently.
+const cancelUnpaidOrder = async (order, reason, io) => {
+  if (!(await transitionIfUnchanged(order, "cancelled", { reason, io }))) return null
+
+  await Store.updateOne({ _id: order.store._id || order.store }, { $inc: { totalOrders: -1 } })
+  return order
+}
+
+// Release an order waiting for its payment once the payment is authorized, or already captured by the
+// provider (announcing it to the store), or cancel it once the payment failed. Resolves to whether the
+// order was settled.
+// Expects the order's customer name and store settings populated.
+const settleAwaitingOrder = async (order, payment, io) => {
+  if (order.status !== "awaiting_payment" || !payment) return false
+
+  if (["authorized", "captured"].includes(payment.status)) {
+    // Released concurrently elsewhere, which settled it
+    if (!(await releasePaidOrder(order, io))) return true
+    await autoAcceptOrder(order, order.store, { io })
+    announceOrder(io, order, order.customer)
+    return true
+  }
+
+  if (payment.status === "failed") {
+    await cancelUnpaidOrder(order, "Payment declined", io)
+    return true
+  }
+
+  return false
+}
+
+// Notify the store dashboard about a newly placed (or scheduled) order. Unpaid orders are announced
+// once their payment is authorized.
+const announceOrder = (io, order, customer) => {
+  if (order.status === "awaiting_payment") return
+  const event = order.status === "scheduled" ? "order-scheduled" : "new-order"
+  io.to(`store-${order.store._id || order.store}`).emit(event, {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    customer: customer.name,
+    total: order.pricing.total,
+    items: order.items.length,
+    status: order.status,
+    requestedDeliveryTime: order.timing.requestedDeliveryTime,
+  })
+}
+
+module.exports = {
+  placeOrder,
+  releasePaidOrder,
+  cancelUnpaidOrder,
+  settleAwaitingOrder,
+  announceOrder,
+}
@@ -0,0 +1,139 @@
+const mongoose = require("mongoose")
+const Product = require("../models/Product")
+const User = require("../models/User")
+const Coupon = require("../models/Coupon")
+const { releaseSlot } = require("./scheduling")
+const { dispatchOrder, releaseOrderDriver } = require("./dispatch")
+const { refreshEta } = require("./eta")
+const { capturePayment, voidPayment } = require("./payments")
+const { postOrderJournal } = require("./ledger")
+const ErrorResponse = require("../utils/errorResponse")
+
+// Statuses after which the delivery ETA is recomputed
+const ETA_STATUSES = ["confirmed", "preparing", "ready", "on_way"]
+
+// Resolve how a user relates to an order for the status transition table
+const getOrderActorRole = (order, user) => {
+  if (!user) return "system"
+  if (user.role === "admin") return "admin"
+
+  const storeOwner = order.store && order.store.owner
+  if (storeOwner && storeOwner.toString() === user.id) return "store"
+
+  // Only the driver assigned to the order acts on it as a driver
+  const driverId = order.driver && (order.driver._id || order.driver)
+  if (driverId && driverId.toString() === user.id) return "driver"
+
+  const customerId = order.customer._id || order.customer
+  if (customerId.toString() === user.id) return "customer"
+
+  return null
+}
+
+// Return stock of order items ({ product, quantity }) to their products, e.g. of a cancelled order
+const restoreStock = async (items) => {
+  for (const item of items) {
+    await Product.updateOne(
+      { _id: item.product._id || item.product, stock: { $ne: null } },
+      { $inc: { stock: item.quantity } },
+    )
+  }
+}
+
+// Take the payment of a delivered order, then book the order in the ledger. Nothing is booked while the
+// capture fails; the syncPendingPayments job retries it.
+const settleDeliveredOrder = async (order) => {
+  await capturePayment(order)
+  return postOrderJournal(order)
+}
+
+// Move an order to a new status, apply side effects and notify the order room. The change is only saved while
+// the stored order is still in the status it was checked against, so of two concurrent transitions (two cancels,
+// a cancel racing the payment sync or a webhook) one applies and runs the side effects; the other throws a 409.
+const transitionOrder = async (order, status, { user, role, reason, io } = {}) => {
+  const actorRole = role || getOrderActorRole(order, user)
+  const from = order.status
+
+  order.$where = { status: from }
+  try {
+    await order.updateStatus(status, {
+      changedBy: user ? user._id : undefined,
+      role: actorRole,
+      reason,
+    })
+  } catch (error) {
+    // Not found with the status (or the version, once the history changed) it was loaded with
+    if (error instanceof mongoose.Error.DocumentNotFoundError || error instanceof mongoose.Error.VersionError) {
+      throw new ErrorResponse(`Order is no longer ${from}, it was updated meanwhile`, 409, { from, to: status })
+    }
+    throw error
+  } finally {
+    order.$where = undefined
+  }
+
+  if (status === "cancelled") {
+    await restoreStock(order.items)
+
+    if (order.coupon && order.coupon.couponId) {
+      await Coupon.releaseUsage(order.coupon.couponId, order._id)
+    }
+
+    if (order.deliverySlot) {
+      await releaseSlot(order.deliverySlot, order._id)
+    }
+
+    // Give back the points redeemed and take back those credited when the order was placed
+    await User.updateOne(
+      { _id: order.customer._id || order.customer },
+      { $inc: { loyaltyPoints: order.loyaltyPointsUsed - order.calculateLoyaltyPoints() } },
+    )
+  }
+
+  // Finding a driver runs after the status change is saved and never undoes it
+  try {
+    if (["preparing", "ready"].includes(status)) {
+      await dispatchOrder(order, io)
+    } else if (["delivered", "delivery_failed", "cancelled"].includes(status)) {
+      await releaseOrderDriver(order, io)
+    }
+  } catch (error) {
+    console.error(`Dispatch for order ${order._id} error:`, error)
+  }
+
+  // Card and wallet payments are taken on delivery and released on cancellation
+  try {
+    if (status === "delivered") {
+      await settleDeliveredOrder(order)
+    } else if (status === "cancelled") {
+      await voidPayment(order)
+    }
+  } catch (error) {
+    console.error(`Payment for order ${order._id} error:`, error)
+  }
+
+  if (ETA_STATUSES.includes(status)) {
+    try {
+      await refreshEta(order, io)
+    } catch (error) {
+      console.error(`ETA for order ${order._id} error:`, error)
+    }
+  }
+
+  if (io) {
+    io.to(`order-${order._id}`).emit("order-status-updated", {
+      orderId: order._id,
+      status: order.status,
+      reason,
+      timestamp: new Date(),
+    })
+  }
+
+  return order
+}
+
+module.exports = {
+  getOrderActorRole,
+  restoreStock,
+  settleDeliveredOrder,
+  transitionOrder,
+}
@@ -0,0 +1,172 @@
+const PaymentIntent = require("../../models/PaymentIntent")
+const sandboxProvider = require("./sandboxProvider")
+const paymentsConfig = require("../../config/payments")
+const ErrorResponse = require("../../utils/errorResponse")
+const {
+  canMoveTo,
+  getRefundable,
+  markAuthorized,
+  markFailed,
+  markCaptured,
+  markVoided,
+  markRefunded,
+} = require("./state")
+
+// Payment providers by name. A provider is an object with a `name` and async methods, which throw
+// when the call itself fails:
+//   authorize(intent, { token })  hold the amount; resolves to { status, reference, data, failureCode, message }
+//                                 with status "authorized", "pending" (confirmed later) or "declined"
+//   retrieve(intent)              current state of a pending authorization, same shape
+//   capture(intent, amount)       take held funds; resolves to { status: "captured", reference }
+//   void(intent)                  release held funds; resolves to { status: "voided" }
+//   refund(intent, amount)        return captured funds; resolves to { status: "refunded", reference }
+// `data` is kept on the intent as `providerData` for later calls. For webhooks a provider may also have
+//   verifyWebhook(rawBody, headers, secret)  signature check, instead of the X-Payment-Signature HMAC scheme
+//   parseWebhook(body)                       payload to { id, type, reference, amount, refundReference, occurredAt },
+//                                            for payloads not already in that shape (see webhooks.js)
+const providers = new Map([[sandboxProvider.name, sandboxProvider]])
+
+// Make a payment gateway available; select it with PAYMENTS_PROVIDER
+const registerProvider = (provider) => {
+  for (const method of ["authorize", "retrieve", "capture", "void", "refund"]) {
+    if (typeof provider[method] !== "function") {
+      throw new Error(`Payment provider ${provider.name} must implement ${method}()`)
+    }
+  }
+  providers.set(provider.name, provider)
+}
+
+// Whether a provider of that name is registered
+const hasProvider = (name) => providers.has(name)
+
+// The configured provider, or the one an existing intent was created with
+const getProvider = (name = paymentsConfig.provider) => {
+  const provider = providers.get(name)
+  if (!provider) {
+    throw new ErrorResponse(`Payment provider "${name}" is not registered`, 500)
+  }
+  return provider
+}
+
+// Latest payment of an order
+const getOrderPayment = (order) => PaymentIntent.findOne({ order: order._id }).sort({ createdAt: -1 })
+
+// Record an authorization outcome on the intent and mirror it on the order
+const applyAuthorization = (intent, order, result) => {
+  if (result.reference) intent.providerReference = result.reference
+  if (result.data) intent.providerData = { ...intent.providerData, ...result.data }
+
+  if (result.status === "authorized" && canMoveTo(intent, "authorized")) {
+    markAuthorized(intent, order)
+  } else if (result.status === "declined" && canMoveTo(intent, "failed")) {
+    markFailed(intent, order, result)
+  } else if (result.status === "pending" && canMoveTo(intent, "pending")) {
+    intent.status = "pending"
+    order.paymentInfo.transactionId = intent.providerReference
+  }
+}
+
+// Authorize the order total with the configured provider. A decline resolves to an intent with status "failed";
+// a provider error marks the intent failed and throws.
+const authorizePayment = async (order, { token } = {}) => {
+  const provider = getProvider()
+  const intent = await PaymentIntent.create({
+    order: order._id,
+    customer: order.customer._id || order.customer,
+    store: order.store._id || order.store,
+    provider: provider.name,
+    method: order.paymentInfo.method,
+    amount: order.pricing.total,
+    currency: paymentsConfig.currency,
+  })
+  order.paymentInfo.intent = intent._id
+
+  let result
+  try {
+    result = await provider.authorize(intent, { token })
+  } catch (error) {
+    console.error(`Payment authorization for order ${order._id} error:`, error)
+    intent.set({ status: "failed", failedAt: new Date(), failureCode: "provider_error", failureMessage: error.message })
+    await intent.save()
+    throw new ErrorResponse("Payment could not be processed, please try again", 502)
+  }
+
+  applyAuthorization(intent, order, result)
+  await intent.save()
+  await order.save()
+  return intent
+}
+
+// Ask the provider again about a pending authorization
+const syncAuthorization = async (intent, order) => {
+  const result = await getProvider(intent.provider).retrieve(intent)
+  applyAuthorization(intent, order, result)
+  await intent.save()
+  await order.save()
+  return intent
+}
+
+// Take the authorized funds, when the order is delivered. Orders without an authorized payment are left alone.
+// A failed capture is recorded on the intent, which stays authorized, and throws.
+const capturePayment = async (order) => {
+  const intent = await getOrderPayment(order)
+  if (!intent || intent.status !== "authorized") return null
+
+  let result
+  try {
+    result = await getProvider(intent.provider).capture(intent, intent.amount)
+  } catch (error) {
+    intent.set({ captureFailedAt: new Date(), failureCode: "capture_error", failureMessage: error.message })
+    await intent.save()
+    throw error
+  }
+  if (result.reference) intent.providerReference = result.reference
+  markCaptured(intent, order)
+  await intent.save()
+  await order.save()
+  return intent
+}
+
+// Release a payment that was not captured, when the order is cancelled
+const voidPayment = async (order) => {
+  const intent = await getOrderPayment(order)
+  if (!intent || !["pending", "authorized"].includes(intent.status)) return null
+
+  await getProvider(intent.provider).void(intent)
+  markVoided(intent, order)
+  await intent.save()
+  await order.save()
+  return intent
+}
+
+// Return captured funds, all of them unless an amount is given
+const refundPayment = async (order, amount) => {
+  const intent = await getOrderPayment(order)
+  if (!intent || !canMoveTo(intent, "refunded")) {
+    throw new ErrorResponse("Order has no captured payment to refund", 409)
+  }
+
+  const refundable = getRefundable(intent)
+  const refundAmount = amount === undefined ? refundable : amount
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw new ErrorResponse(`Refund amount must be between 0 and ${refundable}`, 400, { refundable })
+  }
+
+  const result = await getProvider(intent.provider).refund(intent, refundAmount)
+  markRefunded(intent, order, { amount: refundAmount, reference: result.reference })
+  await intent.save()
+  await order.save()
+  return { intent, amount: refundAmount, reference: result.reference }
+}
+
+module.exports = {
+  registerProvider,
+  hasProvider,
+  getProvider,
+  getOrderPayment,
+  authorizePayment,
+  syncAuthorization,
+  capturePayment,
+  voidPayment,
+  refundPayment,
+}
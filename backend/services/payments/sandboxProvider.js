@@ -0,0 +1,63 @@
+const crypto = require("crypto")
+const paymentsConfig = require("../../config/payments")
+
+// Test tokens select what the sandbox does with a payment, like a real gateway's test cards.
+// Any other token (or none) is approved.
+const SCENARIOS = {
+  sandbox_approve: { status: "authorized" },
+  sandbox_decline: { status: "declined", failureCode: "card_declined", message: "The card was declined" },
+  sandbox_insufficient_funds: {
+    status: "declined",
+    failureCode: "insufficient_funds",
+    message: "The card has insufficient funds",
+  },
+  // Confirmed (or declined) `sandboxConfirmationSeconds` after authorization, like a bank transfer or 3-D Secure
+  sandbox_delayed: { status: "pending", then: { status: "authorized" } },
+  sandbox_delayed_decline: {
+    status: "pending",
+    then: { status: "declined", failureCode: "card_declined", message: "The card was declined" },
+  },
+}
+
+const newReference = (prefix) => `${prefix}_${crypto.randomBytes(8).toString("hex")}`
+
+// Local payment provider for development and tests; no money moves
+const sandboxProvider = {
+  name: "sandbox",
+
+  async authorize(intent, { token } = {}) {
+    const scenario = SCENARIOS[token] || SCENARIOS.sandbox_approve
+    const reference = newReference("sbx_pay")
+
+    if (scenario.status === "pending") {
+      const confirmAt = new Date(Date.now() + paymentsConfig.sandboxConfirmationSeconds * 1000)
+      return { status: "pending", reference, data: { token, confirmAt } }
+    }
+
+    const { status, failureCode, message } = scenario
+    return { status, reference, failureCode, message, data: { token } }
+  },
+
+  // Current state of a pending authorization
+  async retrieve(intent) {
+    const { token, confirmAt } = intent.providerData || {}
+    const scenario = SCENARIOS[token]
+    if (!scenario || !scenario.then) return { status: "authorized" }
+    if (new Date(confirmAt) > new Date()) return { status: "pending" }
+    return scenario.then
+  },
+
+  async capture(intent, amount) {
+    return { status: "captured", amount, reference: intent.providerReference }
+  },
+
+  async void() {
+    return { status: "voided" }
+  },
+
+  async refund(intent, amount) {
+    return { status: "refunded", amount, reference: newReference("sbx_re") }
+  },
+}
+
+module.exports = sandboxProvider
@@ -0,0 +1,60 @@
+// Payment intent states, mirrored on the order's paymentInfo. A change only applies from the states listed
+// for it, so late or replayed provider events never move a payment backwards (e.g. a captured payment
+// back to authorized or failed).
+const ALLOWED_FROM = {
+  pending: ["requires_authorization"],
+  authorized: ["requires_authorization", "pending"],
+  failed: ["requires_authorization", "pending"],
+  captured: ["requires_authorization", "pending", "authorized"],
+  voided: ["requires_authorization", "pending", "authorized"],
+  refunded: ["captured", "partially_refunded"],
+}
+
+const canMoveTo = (intent, status) => ALLOWED_FROM[status].includes(intent.status)
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100
+
+// Money captured and not refunded yet
+const getRefundable = (intent) => roundAmount(intent.amountCaptured - intent.amountRefunded)
+
+const markAuthorized = (intent, order, at = new Date()) => {
+  intent.set({ status: "authorized", authorizedAt: at })
+  order.paymentInfo.status = "authorized"
+  order.paymentInfo.transactionId = intent.providerReference
+}
+
+const markFailed = (intent, order, { failureCode, message } = {}, at = new Date()) => {
+  intent.set({ status: "failed", failedAt: at, failureCode, failureMessage: message })
+  order.paymentInfo.status = "failed"
+}
+
+const markCaptured = (intent, order, amount = intent.amount, at = new Date()) => {
+  intent.set({ status: "captured", amountCaptured: amount, capturedAt: at })
+  order.paymentInfo.status = "paid"
+  order.paymentInfo.paidAt = at
+  order.paymentInfo.transactionId = intent.providerReference
+}
+
+const markVoided = (intent, order, at = new Date()) => {
+  intent.set({ status: "voided", voidedAt: at })
+  order.paymentInfo.status = "voided"
+}
+
+const markRefunded = (intent, order, { amount, reference }, at = new Date()) => {
+  intent.refunds.push({ amount, reference, createdAt: at })
+  intent.amountRefunded = roundAmount(intent.amountRefunded + amount)
+  intent.status = intent.amountRefunded >= intent.amountCaptured ? "refunded" : "partially_refunded"
+  if (intent.status === "refunded") {
+    order.paymentInfo.status = "refunded"
+  }
+}
+
+module.exports = {
+  canMoveTo,
+  getRefundable,
+  markAuthorized,
+  markFailed,
+  markCaptured,
+  markVoided,
+  markRefunded,
+}
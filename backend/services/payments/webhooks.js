@@ -0,0 +1,167 @@
+const crypto = require("crypto")
+const PaymentEvent = require("../../models/PaymentEvent")
+const PaymentIntent = require("../../models/PaymentIntent")
+const Order = require("../../models/Order")
+const paymentsConfig = require("../../config/payments")
+const { hasProvider, getProvider } = require("./index")
+const {
+  canMoveTo,
+  getRefundable,
+  markAuthorized,
+  markFailed,
+  markCaptured,
+  markVoided,
+  markRefunded,
+} = require("./state")
+const { settleAwaitingOrder } = require("../orderPlacement")
+const ErrorResponse = require("../../utils/errorResponse")
+
+const SIGNATURE_HEADER = "x-payment-signature"
+
+// Shared secret of a provider's webhooks: PAYMENTS_WEBHOOK_SECRET_<PROVIDER>, else PAYMENTS_WEBHOOK_SECRET
+const getWebhookSecret = (providerName) =>
+  process.env[`PAYMENTS_WEBHOOK_SECRET_${providerName.toUpperCase()}`] || process.env.PAYMENTS_WEBHOOK_SECRET
+
+// Signature header of a payload: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>"
+const signPayload = (rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex")
+  return `t=${timestamp},v1=${digest}`
+}
+
+// Check a signature header made by signPayload, refusing old timestamps so captured requests cannot be replayed
+const verifySignature = (rawBody, header, secret, now = Date.now()) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.trim().split("=")),
+  )
+  const timestamp = Number(parts.t)
+  if (!timestamp || !parts.v1) return false
+  if (Math.abs(now / 1000 - timestamp) > paymentsConfig.webhookToleranceSeconds) return false
+
+  const expected = Buffer.from(signPayload(rawBody, secret, timestamp).split("v1=")[1], "hex")
+  const received = Buffer.from(parts.v1, "hex")
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected)
+}
+
+// Changes each event type makes to a payment. A handler returns the reason when the event does not apply.
+// Events the payment already moved past are ignored, so they may arrive late or out of order.
+const EVENT_HANDLERS = {
+  "payment.authorized": (intent, order, event) => {
+    if (!canMoveTo(intent, "authorized")) return "already_settled"
+    markAuthorized(intent, order, event.occurredAt)
+  },
+  "payment.failed": (intent, order, event) => {
+    if (!canMoveTo(intent, "failed")) return "already_settled"
+    markFailed(intent, order, { failureCode: event.failureCode, message: event.message }, event.occurredAt)
+  },
+  "payment.captured": (intent, order, event) => {
+    if (!canMoveTo(intent, "captured")) return "already_settled"
+    markCaptured(intent, order, event.amount || intent.amount, event.occurredAt)
+  },
+  "payment.voided": (intent, order, event) => {
+    if (!canMoveTo(intent, "voided")) return "already_settled"
+    markVoided(intent, order, event.occurredAt)
+  },
+  // Refunds made through the API are already recorded under their reference
+  "payment.refunded": (intent, order, event) => {
+    if (!canMoveTo(intent, "refunded")) return "not_captured"
+    if (event.refundReference && intent.refunds.some((refund) => refund.reference === event.refundReference)) {
+      return "already_recorded"
+    }
+    const amount = Math.min(event.amount || getRefundable(intent), getRefundable(intent))
+    if (amount <= 0) return "nothing_to_refund"
+    markRefunded(intent, order, { amount, reference: event.refundReference }, event.occurredAt)
+  },
+}
+
+// Apply an event to its payment and order
+const applyEvent = async (providerName, event, io) => {
+  const handler = EVENT_HANDLERS[event.type]
+  if (!handler) return { status: "ignored", reason: "unsupported_event" }
+
+  const intent = await PaymentIntent.findOne({ provider: providerName, providerReference: event.reference })
+  if (!intent) return { status: "ignored", reason: "unknown_payment" }
+
+  const order = await Order.findById(intent.order).populate("customer", "name").populate("store", "settings")
+  if (!order) return { status: "ignored", reason: "unknown_order", intent: intent._id }
+
+  const reason = handler(intent, order, event)
+  if (reason) return { status: "ignored", reason, intent: intent._id, order: order._id }
+
+  await intent.save()
+  await order.save()
+  await settleAwaitingOrder(order, intent, io)
+
+  if (io) {
+    io.to(`order-${order._id}`).emit("payment-updated", {
+      orderId: order._id,
+      event: event.type,
+      paymentStatus: order.paymentInfo.status,
+      status: order.status,
+    })
+  }
+
+  return { status: "processed", intent: intent._id, order: order._id }
+}
+
+// Verify, record and apply a webhook request from a provider. Resolves to the stored event and whether it
+// was a redelivery; an event whose processing failed before is applied again.
+const handleWebhook = async (providerName, { rawBody, headers, body }, io) => {
+  if (!hasProvider(providerName)) {
+    throw new ErrorResponse("Unknown payment provider", 404)
+  }
+  const provider = getProvider(providerName)
+
+  const secret = getWebhookSecret(providerName)
+  if (!secret) {
+    console.error(`No webhook secret configured for payment provider ${providerName}`)
+    throw new ErrorResponse("Invalid signature", 401)
+  }
+  const verified = provider.verifyWebhook
+    ? await provider.verifyWebhook(rawBody, headers, secret)
+    : verifySignature(rawBody, headers[SIGNATURE_HEADER], secret)
+  if (!verified) {
+    throw new ErrorResponse("Invalid signature", 401)
+  }
+
+  const event = provider.parseWebhook ? provider.parseWebhook(body) : body
+  if (!event || !event.id || !event.type) {
+    throw new ErrorResponse("Event ID and type are required", 400)
+  }
+  event.occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date()
+
+  let record
+  try {
+    record = await PaymentEvent.create({
+      provider: providerName,
+      eventId: event.id,
+      type: event.type,
+      reference: event.reference,
+      payload: body,
+      occurredAt: event.occurredAt,
+    })
+  } catch (error) {
+    if (error.code !== 11000) throw error
+    record = await PaymentEvent.findOne({ provider: providerName, eventId: event.id })
+    if (record.status !== "failed") return { event: record, duplicate: true }
+  }
+
+  try {
+    const { status, reason, intent, order } = await applyEvent(providerName, event, io)
+    record.set({ status, reason, intent, order, error: undefined, processedAt: new Date() })
+  } catch (error) {
+    record.set({ status: "failed", error: error.message })
+    await record.save()
+    throw error
+  }
+
+  await record.save()
+  return { event: record, duplicate: false }
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  handleWebhook,
+}
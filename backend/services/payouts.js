@@ -0,0 +1,295 @@
+const PDFDocument = require("pdfkit")
+const LedgerEntry = require("../models/LedgerEntry")
+const PayoutStatement = require("../models/PayoutStatement")
+const Store = require("../models/Store")
+const { postJournal } = require("./ledger")
+const { toCsv } = require("../utils/csv")
+const { addDays, formatTime, getLocalDate, getTimezone, getZonedParts, toDateKey, zonedTimeToDate } =
+  require("../utils/storeHours")
+const ErrorResponse = require("../utils/errorResponse")
+
+const round = (amount) => Math.round(amount * 100) / 100
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000
+// Stores with ledger activity or a balance carried over this recently get a statement
+const LOOKBACK_MS = 2 * WEEK_MS
+
+// Amount of a journal line as it counts for the statement: money in from the customer, owed out otherwise
+const STATEMENT_FIELDS = {
+  customer_payments: "total",
+  tax: "tax",
+  delivery_fees: "deliveryFee",
+  service_fees: "serviceFee",
+  platform_commission: "commission",
+  merchant_payable: "net",
+}
+
+// Columns of the CSV download
+const CSV_COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "type", label: "Type" },
+  { key: "orderNumber", label: "Order" },
+  { key: "description", label: "Description" },
+  { key: "total", label: "Customer total" },
+  { key: "tax", label: "Tax" },
+  { key: "deliveryFee", label: "Delivery fee" },
+  { key: "serviceFee", label: "Service fee" },
+  { key: "commission", label: "Commission" },
+  { key: "net", label: "Net to store" },
+]
+
+// Midnight of the Monday starting the store's current week, in its timezone
+const getWeekStart = (store, at = new Date()) => {
+  const timeZone = getTimezone(store)
+  const today = getLocalDate(at, timeZone)
+  const weekday = new Date(Date.UTC(today.year, today.month - 1, today.day)).getUTCDay()
+  return zonedTimeToDate(addDays(today, -((weekday + 6) % 7)), 0, timeZone)
+}
+
+// One line per order and refund journal of the store in [from, to), oldest first
+const getStatementLines = async (storeId, from, to) => {
+  const entries = await LedgerEntry.find({
+    store: storeId,
+    type: { $in: ["order", "refund"] },
+    occurredAt: { $gte: from, $lt: to },
+  })
+    .populate("order", "orderNumber")
+    .sort({ occurredAt: 1 })
+
+  const lines = new Map()
+  for (const entry of entries) {
+    const key = entry.journal.toString()
+    if (!lines.has(key)) {
+      lines.set(key, {
+        journal: entry.journal,
+        type: entry.type,
+        order: entry.order ? entry.order._id : undefined,
+        orderNumber: entry.order ? entry.order.orderNumber : undefined,
+        refund: entry.refund,
+        description: entry.description,
+        occurredAt: entry.occurredAt,
+        total: 0,
+        tax: 0,
+        deliveryFee: 0,
+        serviceFee: 0,
+        commission: 0,
+        net: 0,
+      })
+    }
+
+    const field = STATEMENT_FIELDS[entry.account]
+    if (field) {
+      const amount = entry.account === "customer_payments" ? entry.debit - entry.credit : entry.credit - entry.debit
+      lines.get(key)[field] = round(lines.get(key)[field] + amount)
+    }
+  }
+  return [...lines.values()]
+}
+
+const sum = (lines, field) => round(lines.reduce((total, line) => total + line[field], 0))
+
+// Create the store's statement for the period ending at `periodEnd`, starting where its previous
+// statement ended (a week earlier for the first one). A negative balance is carried over to the next.
+// Resolves to null when the statement exists already.
+const generateStatement = async (store, periodEnd) => {
+  const previous = await PayoutStatement.findOne({ store: store._id }).sort({ periodEnd: -1 })
+  if (previous && previous.periodEnd >= periodEnd) return null
+
+  const periodStart = previous ? previous.periodEnd : new Date(periodEnd.getTime() - WEEK_MS)
+  const lines = await getStatementLines(store._id, periodStart, periodEnd)
+  const orders = lines.filter((line) => line.type === "order")
+  const refunds = lines.filter((line) => line.type === "refund")
+  const totals = {
+    orders: orders.length,
+    sales: sum(orders, "total"),
+    refunds: sum(refunds, "total"),
+    tax: sum(lines, "tax"),
+    deliveryFees: sum(lines, "deliveryFee"),
+    serviceFees: sum(lines, "serviceFee"),
+    commission: sum(lines, "commission"),
+    net: sum(lines, "net"),
+  }
+  const openingBalance = previous ? previous.carriedOver : 0
+  const balance = round(openingBalance + totals.net)
+
+  try {
+    return await PayoutStatement.create({
+      store: store._id,
+      periodStart,
+      periodEnd,
+      lines,
+      totals,
+      openingBalance,
+      payout: Math.max(0, balance),
+      carriedOver: Math.min(0, balance),
+      status: balance > 0 ? "pending" : "nothing_due",
+    })
+  } catch (error) {
+    // Generated concurrently
+    if (error.code === 11000) return null
+    throw error
+  }
+}
+
+// Statements for the week that ended last Monday (in each store's timezone) of every store with recent
+// ledger activity or a balance carried over. Resolves to the number of statements created.
+const generateStatements = async (at = new Date()) => {
+  const since = new Date(at.getTime() - LOOKBACK_MS)
+  const [active, carrying] = await Promise.all([
+    LedgerEntry.distinct("store", { type: { $in: ["order", "refund"] }, occurredAt: { $gte: since } }),
+    PayoutStatement.distinct("store", { carriedOver: { $lt: 0 }, periodEnd: { $gte: since } }),
+  ])
+  const storeIds = [...new Set([...active, ...carrying].map((id) => id.toString()))]
+  const stores = await Store.find({ _id: { $in: storeIds } }).select("name timezone")
+
+  let created = 0
+  for (const store of stores) {
+    try {
+      if (await generateStatement(store, getWeekStart(store, at))) created += 1
+    } catch (error) {
+      console.error(`Payout statement for store ${store._id} error:`, error)
+    }
+  }
+  return created
+}
+
+// Record that a pending statement was paid out to the store, clearing what the ledger owes it
+const markStatementPaid = async (statementId, { reference }, admin) => {
+  const statement = await PayoutStatement.findOneAndUpdate(
+    { _id: statementId, status: "pending" },
+    { status: "paid", paidAt: new Date(), paidBy: admin._id, payoutReference: reference },
+    { new: true },
+  )
+  if (!statement) {
+    const existing = await PayoutStatement.findById(statementId).select("status")
+    if (!existing) throw new ErrorResponse("Statement not found", 404)
+    throw new ErrorResponse(
+      existing.status === "paid" ? "Statement has already been paid" : "Nothing is due on this statement",
+      409,
+    )
+  }
+
+  await postJournal({
+    type: "payout",
+    store: statement.store,
+    payoutStatement: statement._id,
+    description: `Payout ${reference}`,
+    occurredAt: statement.paidAt,
+    lines: [
+      { account: "merchant_payable", debit: statement.payout },
+      { account: "store_payouts", credit: statement.payout },
+    ],
+  })
+  return statement
+}
+
+// "2024-07-09 18:30" in the store's timezone
+const formatDateTime = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone)
+  return `${toDateKey(parts)} ${formatTime(parts.minutes)}`
+}
+
+// First and last day of the statement period in the store's timezone
+const formatPeriod = (statement, timeZone) => {
+  const lastDay = new Date(statement.periodEnd.getTime() - 1)
+  return `${toDateKey(getLocalDate(statement.periodStart, timeZone))} to ${toDateKey(getLocalDate(lastDay, timeZone))}`
+}
+
+// Statement lines as CSV, followed by the balance carried in and the payout
+const statementToCsv = (statement, store) => {
+  const timeZone = getTimezone(store)
+  const rows = statement.lines.map((line) => ({
+    ...line.toObject(),
+    date: formatDateTime(line.occurredAt, timeZone),
+  }))
+  if (statement.openingBalance !== 0) {
+    rows.push({ type: "adjustment", description: "Balance carried over", net: statement.openingBalance })
+  }
+  rows.push({ type: "payout", description: `Payout (${statement.status.replace("_", " ")})`, net: statement.payout })
+  return toCsv(rows, CSV_COLUMNS)
+}
+
+const money = (amount) => `${amount < 0 ? "-" : ""}$${Math.abs(amount).toFixed(2)}`
+
+// Render the statement as a PDF into a writable stream: summary first, then the lines behind it
+const writeStatementPdf = (statement, store, output) => {
+  const timeZone = getTimezone(store)
+  const doc = new PDFDocument({ size: "A4", margin: 40 })
+  doc.pipe(output)
+
+  doc.fontSize(16).text(`Payout statement - ${store.name}`)
+  doc.fontSize(10).text(`Period: ${formatPeriod(statement, timeZone)}`)
+  const reference = statement.payoutReference ? ` (${statement.payoutReference})` : ""
+  doc.text(`Status: ${statement.status.replace("_", " ")}${reference}`)
+  doc.moveDown()
+
+  const { totals } = statement
+  const summary = [
+    [`Sales (${totals.orders} orders)`, totals.sales],
+    ["Refunds", totals.refunds],
+    ["Tax", -totals.tax],
+    ["Delivery fees", -totals.deliveryFees],
+    ["Service fees", -totals.serviceFees],
+    ["Platform commission", -totals.commission],
+    ["Net earnings", totals.net],
+    ["Balance carried over", statement.openingBalance],
+    ["Payout", statement.payout],
+  ]
+  for (const [label, amount] of summary) {
+    const y = doc.y
+    doc.text(label, 40, y, { width: 200 })
+    doc.text(money(amount), 240, y, { width: 100, align: "right" })
+  }
+  doc.moveDown()
+
+  const columns = [
+    { key: "date", label: "Date", width: 80 },
+    { key: "orderNumber", label: "Order", width: 85 },
+    { key: "type", label: "Type", width: 40 },
+    { key: "total", label: "Total", width: 55, amount: true },
+    { key: "tax", label: "Tax", width: 45, amount: true },
+    { key: "deliveryFee", label: "Delivery", width: 50, amount: true },
+    { key: "serviceFee", label: "Service", width: 45, amount: true },
+    { key: "commission", label: "Commission", width: 60, amount: true },
+    { key: "net", label: "Net", width: 55, amount: true },
+  ]
+  const writeRow = (values) => {
+    if (doc.y > doc.page.height - 60) doc.addPage()
+    const y = doc.y
+    let x = 40
+    for (const column of columns) {
+      doc.text(values[column.key], x, y, {
+        width: column.width,
+        align: column.amount ? "right" : "left",
+        lineBreak: false,
+      })
+      x += column.width
+    }
+    doc.text("", 40, y + 14)
+  }
+
+  doc.fontSize(8)
+  writeRow(Object.fromEntries(columns.map((column) => [column.key, column.label])))
+  for (const line of statement.lines) {
+    writeRow({
+      ...Object.fromEntries(columns.filter((column) => column.amount).map((c) => [c.key, money(line[c.key])])),
+      date: formatDateTime(line.occurredAt, timeZone),
+      orderNumber: line.orderNumber || "",
+      type: line.type,
+    })
+  }
+  if (statement.lines.length === 0) {
+    doc.text("No orders or refunds in this period", 40)
+  }
+
+  doc.end()
+}
+
+module.exports = {
+  getWeekStart,
+  generateStatement,
+  generateStatements,
+  markStatementPaid,
+  statementToCsv,
+  writeStatementPdf,
+}
@@ -0,0 +1,318 @@
+const Order = require("../models/Order")
+const Product = require("../models/Product")
+const Coupon = require("../models/Coupon")
+const DeliveryZone = require("../models/DeliveryZone")
+const { getSurgeMultiplier } = require("./surge")
+const platformPricing = require("../config/pricing")
+const ErrorResponse = require("../utils/errorResponse")
+
+const round = (amount) => Math.round(amount * 100) / 100
+
+// Attach the current price of each selected product option. Options the product does not offer are refused.
+const resolveOptions = (product, options = []) =>
+  options.map((option) => {
+    const productOption = product.options.find((o) => o.name === option.name)
+    const choice = productOption && productOption.choices.find((c) => c.name === option.choice)
+    if (!choice) {
+      throw new ErrorResponse(`${product.name} has no option "${option.name}: ${option.choice}"`, 400, {
+        productId: product._id,
+        option: option.name,
+        choice: option.choice,
+      })
+    }
+    return { name: option.name, choice: option.choice, price: choice.price }
+  })
+
+// Price addons from the product's option choices. Addons that match none of them are refused.
+const resolveAddons = (product, addons = []) =>
+  addons.map((addon) => {
+    const choice = product.options
+      .flatMap((option) => option.choices)
+      .find((c) => c.name === addon.name)
+    if (!choice) {
+      throw new ErrorResponse(`${product.name} has no addon "${addon.name}"`, 400, {
+        productId: product._id,
+        addon: addon.name,
+      })
+    }
+    return {
+      name: addon.name,
+      price: choice.price,
+      quantity: addon.quantity || 1,
+    }
+  })
+
+// Price of one unit of an order line including its options and addons
+const getUnitPrice = (item) =>
+  item.price +
+  item.options.reduce((sum, option) => sum + option.price, 0) +
+  (item.addons || []).reduce((sum, addon) => sum + addon.price * addon.quantity, 0)
+
+// Build an order line from a product at its current price. Throws a 400 for options or addons the product
+// does not offer.
+const buildOrderItem = (product, item) => ({
+  product: product._id,
+  name: product.name,
+  price: product.finalPrice,
+  quantity: item.quantity,
+  options: resolveOptions(product, item.options),
+  addons: resolveAddons(product, item.addons),
+  specialInstructions: item.specialInstructions,
+})
+
+// Load the products of the requested lines and price them, reporting every line that cannot be ordered
+const priceItems = async (storeId, items) => {
+  const productIds = items.map((item) => item.productId)
+  const products = await Product.find({ _id: { $in: productIds } })
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]))
+
+  const orderItems = []
+  const failures = []
+
+  items.forEach((item, index) => {
+    const product = productsById.get(item.productId.toString())
+
+    if (!product || !product.isAvailable || product.store.toString() !== storeId.toString()) {
+      failures.push({ index, productId: item.productId, reason: "not_available" })
+      return
+    }
+
+    if (!product.isInStock(item.quantity)) {
+      failures.push({
+        index,
+        productId: item.productId,
+        name: product.name,
+        requested: item.quantity,
+        available: product.stock,
+        reason: "insufficient_stock",
+      })
+      return
+    }
+
+    orderItems.push(buildOrderItem(product, item))
+  })
+
+  return { orderItems, failures }
+}
+
+// Convert order items to the priced lines the calculator works on
+const toPricingLines = (orderItems) =>
+  orderItems.map((item) => ({
+    product: item.product,
+    name: item.name,
+    quantity: item.quantity,
+    unitPrice: getUnitPrice(item),
+  }))
+
+// Effective rates for a store: its own overrides, falling back to the platform defaults
+const getRates = (store) => {
+  const overrides = (store && store.pricing) || {}
+  const rates = {}
+  for (const key of Object.keys(platformPricing)) {
+    rates[key] = overrides[key] != null ? overrides[key] : platformPricing[key]
+  }
+  return rates
+}
+
+// Base delivery fee before surge: the delivery zone's when it sets one, then the store's distance tiers,
+// then the store's base fee plus a per-km fee beyond the included distance
+const getBaseDeliveryFee = (store, distanceKm, rates, zone) => {
+  if (zone && zone.deliveryFee != null) return zone.deliveryFee
+
+  const km = distanceKm || 0
+  const tiers = [...(store.deliveryInfo.feeTiers || [])].sort((a, b) => a.upToKm - b.upToKm)
+  if (tiers.length > 0) {
+    const tier = tiers.find((candidate) => km <= candidate.upToKm)
+    if (tier) return tier.fee
+
+    // Past the last tier, its fee plus the per-km fee for the extra distance
+    const last = tiers[tiers.length - 1]
+    return last.fee + (km - last.upToKm) * rates.deliveryFeePerKm
+  }
+
+  const extraKm = Math.max(0, km - rates.includedDeliveryKm)
+  return store.deliveryInfo.deliveryFee + extraKm * rates.deliveryFeePerKm
+}
+
+// Delivery fee with the surge surcharge, all waived above the store's free delivery threshold
+const calculateDeliveryFee = (store, distanceKm, subtotal, rates = getRates(store), options = {}) => {
+  const { zone, surgeMultiplier = 1 } = options
+  const { freeDeliveryThreshold } = store.deliveryInfo
+  const fee = round(getBaseDeliveryFee(store, distanceKm, rates, zone))
+  const surcharge = surgeMultiplier > 1 ? round(fee * (surgeMultiplier - 1)) : 0
+  const waived = Boolean(freeDeliveryThreshold) && subtotal >= freeDeliveryThreshold
+
+  return { fee, surcharge, waived, amount: waived ? 0 : round(fee + surcharge) }
+}
+
+// Pure price calculation shared by carts, orders and quotes. Returns totals plus an itemised breakdown.
+const calculatePricing = ({
+  store,
+  lines,
+  distanceKm = 0,
+  zone = null,
+  surgeMultiplier = 1,
+  coupon,
+  couponEligibleAmount,
+  loyaltyPoints = 0,
+}) => {
+  const rates = getRates(store)
+
+  const items = lines.map((line) => ({
+    ...line,
+    unitPrice: round(line.unitPrice),
+    lineTotal: round(line.unitPrice * line.quantity),
+  }))
+  const subtotal = round(items.reduce((sum, item) => sum + item.lineTotal, 0))
+
+  const delivery = calculateDeliveryFee(store, distanceKm, subtotal, rates, { zone, surgeMultiplier })
+  const deliveryFee = delivery.amount
+  const serviceFee = round(subtotal * rates.serviceFeeRate)
+  const tax = round(subtotal * rates.taxRate)
+
+  const discount = coupon
+    ? coupon.calculateDiscount(couponEligibleAmount != null ? couponEligibleAmount : subtotal, deliveryFee)
+    : 0
+
+  // Loyalty points pay for part of what is left of the subtotal after the coupon
+  const maxLoyaltyDiscount = Math.max(0, Math.min(subtotal * rates.maxLoyaltyRedemptionRate, subtotal - discount))
+  const loyaltyDiscount = round(Math.min(loyaltyPoints * rates.loyaltyPointValue, maxLoyaltyDiscount))
+  const loyaltyPointsUsed = Math.min(loyaltyPoints, Math.ceil(loyaltyDiscount / rates.loyaltyPointValue))
+
+  // Below the minimum order a small-order fee is charged when one is set, otherwise the order is refused
+  const minimumOrder = (zone && zone.minimumOrder != null ? zone.minimumOrder : store.deliveryInfo.minimumOrder) || 0
+  const smallOrderFee = subtotal < minimumOrder ? round(rates.smallOrderFee || 0) : 0
+
+  const total = round(
+    Math.max(0, subtotal + deliveryFee + smallOrderFee + serviceFee + tax - discount - loyaltyDiscount),
+  )
+
+  const breakdown = [
+    { code: "subtotal", label: "Subtotal", amount: subtotal },
+    { code: "delivery_fee", label: zone ? `Delivery fee (${zone.name})` : "Delivery fee", amount: delivery.fee },
+  ]
+  if (delivery.surcharge > 0) {
+    breakdown.push({ code: "surge", label: `High demand (x${surgeMultiplier})`, amount: delivery.surcharge })
+  }
+  if (delivery.waived) {
+    breakdown.push({ code: "free_delivery", label: "Free delivery", amount: -round(delivery.fee + delivery.surcharge) })
+  }
+  if (smallOrderFee > 0) {
+    breakdown.push({ code: "small_order_fee", label: "Small order fee", amount: smallOrderFee })
+  }
+  breakdown.push(
+    { code: "service_fee", label: "Service fee", amount: serviceFee },
+    { code: "tax", label: "Tax", amount: tax },
+  )
+  if (discount > 0) {
+    breakdown.push({ code: "coupon", label: `Coupon ${coupon.code}`, amount: -discount })
+  }
+  if (loyaltyDiscount > 0) {
+    breakdown.push({ code: "loyalty", label: `Loyalty points (${loyaltyPointsUsed})`, amount: -loyaltyDiscount })
+  }
+
+  return {
+    items,
+    subtotal,
+    deliveryFee,
+    smallOrderFee,
+    serviceFee,
+    tax,
+    discount,
+    loyaltyDiscount,
+    loyaltyPointsUsed,
+    total,
+    surgeMultiplier,
+    minimumOrder: { amount: minimumOrder, met: subtotal >= minimumOrder, smallOrderFee },
+    rates: { taxRate: rates.taxRate, serviceFeeRate: rates.serviceFeeRate },
+    breakdown,
+  }
+}
+
+// Check a coupon's store, category and product restrictions against priced lines
+const checkCouponApplicability = (coupon, store, lines) =>
+  coupon.checkApplicability(
+    store,
+    lines.map((line) => ({ product: line.product, lineTotal: line.unitPrice * line.quantity })),
+  )
+
+// Validate a coupon code against the Coupon model for a user, store and set of lines
+const resolveCoupon = async ({ couponCode, user, store, lines }) => {
+  const coupon = await Coupon.findOne({ code: couponCode.toUpperCase(), isActive: true })
+  if (!coupon) {
+    throw new ErrorResponse("Invalid coupon code", 400)
+  }
+
+  const applicability = checkCouponApplicability(coupon, store, lines)
+  if (!applicability.valid) {
+    throw new ErrorResponse(applicability.reason, 400)
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0)
+  const canUse = coupon.canUserUseCoupon(user._id, subtotal)
+  if (!canUse.valid) {
+    throw new ErrorResponse(canUse.reason, 400)
+  }
+
+  if (coupon.newUsersOnly) {
+    const previousOrder = await Order.exists({ customer: user._id, status: { $ne: "cancelled" } })
+    if (previousOrder) {
+      throw new ErrorResponse("Coupon is only valid on your first order", 400)
+    }
+  }
+
+  return { coupon, eligibleAmount: applicability.eligibleAmount }
+}
+
+// Delivery inputs of the fee rules for an address: distance, the covering zone and the current surge
+const getDeliveryContext = async (store, coordinates) => {
+  const surgeMultiplier = await getSurgeMultiplier()
+  if (!coordinates || coordinates.lat == null) {
+    return { distanceKm: 0, coverage: null, zone: null, surgeMultiplier }
+  }
+
+  const coverage = await DeliveryZone.getCoverage(store, coordinates)
+  return { distanceKm: store.distanceFrom(coordinates), coverage, zone: coverage.zone, surgeMultiplier }
+}
+
+// Price a prospective order: loads products, validates the coupon and the user's loyalty balance
+const quote = async ({ user, store, items, deliveryCoordinates, couponCode, loyaltyPoints = 0 }) => {
+  const { orderItems, failures } = await priceItems(store._id, items)
+  const lines = toPricingLines(orderItems)
+
+  let coupon = null
+  let couponEligibleAmount
+  if (couponCode && lines.length > 0) {
+    const resolved = await resolveCoupon({ couponCode, user, store, lines })
+    coupon = resolved.coupon
+    couponEligibleAmount = resolved.eligibleAmount
+  }
+
+  if (loyaltyPoints > user.loyaltyPoints) {
+    throw new ErrorResponse(`You only have ${user.loyaltyPoints} loyalty points`, 400)
+  }
+
+  const { distanceKm, coverage, zone, surgeMultiplier } = await getDeliveryContext(store, deliveryCoordinates)
+  const pricing = calculatePricing({
+    store,
+    lines,
+    distanceKm,
+    zone,
+    surgeMultiplier,
+    coupon,
+    couponEligibleAmount,
+    loyaltyPoints,
+  })
+
+  return { orderItems, failures, coupon, pricing, distanceKm, coverage }
+}
+
+module.exports = {
+  buildOrderItem,
+  checkCouponApplicability,
+  getUnitPrice,
+  toPricingLines,
+  calculatePricing,
+  getDeliveryContext,
+  quote,
+}
@@ -0,0 +1,173 @@
+const Order = require("../models/Order")
+const Refund = require("../models/Refund")
+const User = require("../models/User")
+const { refundPayment } = require("./payments")
+const { postRefundJournal } = require("./ledger")
+const { getUnitPrice } = require("./pricing")
+const { restoreStock, transitionOrder } = require("./orderStatus")
+const ErrorResponse = require("../utils/errorResponse")
+
+const round = (amount) => Math.round(amount * 100) / 100
+
+// What the customer paid for some units of an item: their price less their share of the order's discounts,
+// plus their share of the tax. A free-delivery coupon discounts the delivery fee, not the items.
+const getItemRefundAmount = (order, item, quantity) => {
+  const { subtotal, discount = 0, loyaltyDiscount = 0, tax = 0 } = order.pricing
+  if (!subtotal) return 0
+
+  const itemDiscount = (order.coupon && order.coupon.type === "freeDelivery" ? 0 : discount) + loyaltyDiscount
+  const share = (getUnitPrice(item) * quantity) / subtotal
+  return round(share * (subtotal - itemDiscount + tax))
+}
+
+// Delivery fee the customer paid and has not been refunded yet
+const getRefundableDeliveryFee = (order) => {
+  const { deliveryFee = 0, discount = 0 } = order.pricing
+  const paid = order.coupon && order.coupon.type === "freeDelivery" ? Math.max(0, deliveryFee - discount) : deliveryFee
+  return round(paid - (order.refundedDeliveryFee || 0))
+}
+
+// Earned loyalty points follow the amount kept: 1 point per $10 of the total less refunds
+const getLoyaltyPointsToReverse = (order, previousRefunds, refundAmount) =>
+  Math.floor((order.pricing.total - previousRefunds) / 10) -
+  Math.floor((order.pricing.total - previousRefunds - refundAmount) / 10)
+
+// Refund a delivered order, whole (no `items`) or some of its items ({ itemId, quantity }), optionally with
+// the delivery fee. Card and wallet payments are refunded through the payment provider. The refund is recorded
+// in the ledger, takes back earned loyalty points and store revenue, and returns stock when `restock` is set.
+// Refunding the last items refunds the whole order, service fees included.
+const refundOrder = async (order, { items, refundDeliveryFee = false, reasonCode, note, restock = false }, actor) => {
+  if (order.status !== "delivered") {
+    throw new ErrorResponse("Only delivered orders can be refunded", 409, { status: order.status })
+  }
+
+  const previousRefunds = order.refundAmount || 0
+  const remaining = round(order.pricing.total - previousRefunds)
+  if (remaining <= 0) {
+    throw new ErrorResponse("Order has already been refunded in full", 409)
+  }
+
+  // Units to refund per order item; a whole-order refund takes everything not refunded yet
+  const requested = items
+    ? items
+    : order.items.map((item) => ({ itemId: item._id.toString(), quantity: item.quantity - item.refundedQuantity }))
+
+  const lines = []
+  const invalid = []
+  for (const { itemId, quantity } of requested) {
+    const item = order.items.id(itemId)
+    const refundable = item ? item.quantity - item.refundedQuantity : 0
+    if (!item || quantity > refundable) {
+      invalid.push({ itemId, requested: quantity, refundable })
+    } else if (quantity > 0) {
+      lines.push({ item, quantity, amount: getItemRefundAmount(order, item, quantity) })
+    }
+  }
+  if (invalid.length > 0) {
+    throw new ErrorResponse("Some items cannot be refunded", 400, { items: invalid })
+  }
+
+  const full = order.items.every((item) => {
+    const line = lines.find((candidate) => candidate.item._id.equals(item._id))
+    return item.refundedQuantity + (line ? line.quantity : 0) >= item.quantity
+  })
+  const deliveryFee = full || refundDeliveryFee ? getRefundableDeliveryFee(order) : 0
+  const itemsAmount = round(lines.reduce((sum, line) => sum + line.amount, 0))
+  const amount = full ? remaining : Math.min(round(itemsAmount + deliveryFee), remaining)
+  if (amount <= 0) {
+    throw new ErrorResponse("Nothing to refund", 400)
+  }
+
+  // Claim the refund against concurrent ones before any money moves
+  const claimed = await Order.updateOne(
+    { _id: order._id, refundAmount: order.refundAmount == null ? null : order.refundAmount },
+    { $set: { refundAmount: round(previousRefunds + amount) } },
+  )
+  if (claimed.modifiedCount === 0) {
+    throw new ErrorResponse("Another refund of this order is in progress, please try again", 409)
+  }
+  order.refundAmount = round(previousRefunds + amount)
+
+  let providerReference
+  if (order.paymentInfo.method !== "cash") {
+    try {
+      const payment = await refundPayment(order, amount)
+      providerReference = payment.reference
+    } catch (error) {
+      await Order.updateOne({ _id: order._id }, { $set: { refundAmount: order.refundAmount - amount } })
+      throw error
+    }
+  } else if (full) {
+    order.paymentInfo.status = "refunded"
+  }
+
+  const storeId = order.store._id || order.store
+  const customerId = order.customer._id || order.customer
+  const loyaltyPointsReversed = getLoyaltyPointsToReverse(order, previousRefunds, amount)
+  const canRestock = restock && lines.length > 0
+
+  const refund = await Refund.create({
+    order: order._id,
+    store: storeId,
+    customer: customerId,
+    items: lines.map(({ item, quantity, amount: lineAmount }) => ({
+      item: item._id,
+      product: item.product._id || item.product,
+      name: item.name,
+      quantity,
+      amount: lineAmount,
+    })),
+    deliveryFee,
+    amount,
+    full,
+    reasonCode,
+    note,
+    restocked: canRestock,
+    method: order.paymentInfo.method,
+    providerReference,
+    loyaltyPointsReversed,
+    createdBy: actor.user ? actor.user._id : undefined,
+    role: actor.role,
+  })
+
+  for (const { item, quantity } of lines) {
+    item.refundedQuantity += quantity
+  }
+  order.refundedDeliveryFee = round((order.refundedDeliveryFee || 0) + deliveryFee)
+  await order.save()
+
+  if (full) {
+    // The refund itself is the authorization, so the order moves as the system on the actor's behalf
+    await transitionOrder(order, "refunded", { user: actor.user, role: "system", reason: reasonCode, io: actor.io })
+  }
+
+  if (canRestock) {
+    await restoreStock(lines.map(({ item, quantity }) => ({ product: item.product, quantity })))
+  }
+
+  // Never below zero, the customer may have spent the points already
+  if (loyaltyPointsReversed > 0) {
+    await User.updateOne({ _id: customerId }, [
+      { $set: { loyaltyPoints: { $max: [0, { $subtract: ["$loyaltyPoints", loyaltyPointsReversed] }] } } },
+    ])
+  }
+
+  await postRefundJournal(order, refund, { itemsAmount, deliveryFee, amount })
+
+  if (actor.io) {
+    actor.io.to(`order-${order._id}`).emit("order-refunded", {
+      orderId: order._id,
+      refundId: refund._id,
+      amount,
+      full,
+      paymentStatus: order.paymentInfo.status,
+    })
+  }
+
+  return refund
+}
+
+module.exports = {
+  getItemRefundAmount,
+  refundOrder,
+}
@@ -0,0 +1,136 @@
+const DeliverySlot = require("../models/DeliverySlot")
+const ErrorResponse = require("../utils/errorResponse")
+const {
+  addDays,
+  formatTime,
+  getLocalDate,
+  getOpeningIntervals,
+  getTimezone,
+  getZonedParts,
+  parseTime,
+  zonedTimeToDate,
+} = require("../utils/storeHours")
+
+const SLOT_MINUTES = Number(process.env.SCHEDULING_SLOT_MINUTES || 30)
+const DAYS_AHEAD = Number(process.env.SCHEDULING_DAYS_AHEAD || 7)
+
+const MINUTE = 60 * 1000
+
+// Orders a slot can take, derived from the store's hourly limit
+const getSlotCapacity = (store) => Math.max(1, Math.floor((store.settings.maxOrdersPerHour * SLOT_MINUTES) / 60))
+
+// Minutes between placing an order and the earliest slot it can be delivered in
+const getLeadTime = (store) => store.settings.preparationTime + store.deliveryInfo.estimatedDeliveryTime.min
+
+// Slot windows of a local calendar day, cut from the store's opening intervals and skipping those too soon to fulfil
+const generateSlots = (store, localDay) => {
+  const toLocalTime = (date) => formatTime(getZonedParts(date, getTimezone(store)).minutes)
+  const earliest = Date.now() + getLeadTime(store) * MINUTE
+  const latest = Date.now() + DAYS_AHEAD * 24 * 60 * MINUTE
+  const slotLength = SLOT_MINUTES * MINUTE
+  const slots = []
+
+  for (const interval of getOpeningIntervals(store, localDay)) {
+    for (let start = interval.start.getTime(); start + slotLength <= interval.end.getTime(); start += slotLength) {
+      if (start < earliest || start > latest) continue
+      const startsAt = new Date(start)
+      const endsAt = new Date(start + slotLength)
+      slots.push({
+        startsAt,
+        endsAt,
+        label: `${toLocalTime(startsAt)}-${toLocalTime(endsAt)}`,
+      })
+    }
+  }
+
+  return slots
+}
+
+// Slots of a local day ({ year, month, day }) with their remaining capacity
+const listAvailableSlots = async (store, localDay) => {
+  const slots = generateSlots(store, localDay)
+  const capacity = getSlotCapacity(store)
+
+  const booked = await DeliverySlot.find({
+    store: store._id,
+    startsAt: { $in: slots.map((slot) => slot.startsAt) },
+  })
+  const bookedByStart = new Map(booked.map((slot) => [slot.startsAt.getTime(), slot]))
+
+  return slots.map((slot) => {
+    const existing = bookedByStart.get(slot.startsAt.getTime())
+    const slotCapacity = existing ? existing.capacity : capacity
+    const remaining = Math.max(0, slotCapacity - (existing ? existing.reserved : 0))
+    return { ...slot, capacity: slotCapacity, remaining, available: remaining > 0 }
+  })
+}
+
+// Earliest slot with capacity left from today up to DAYS_AHEAD, or null
+const findNextAvailableSlot = async (store) => {
+  const today = getLocalDate(new Date(), getTimezone(store))
+
+  for (let offset = 0; offset <= DAYS_AHEAD; offset++) {
+    const slot = (await listAvailableSlots(store, addDays(today, offset))).find((candidate) => candidate.available)
+    if (slot) return slot
+  }
+
+  return null
+}
+
+// Reserve one order's worth of capacity in the slot starting at `startsAt`
+const reserveSlot = async (store, startsAt, orderId) => {
+  // A slot after midnight may belong to the previous day's overnight shift
+  const day = getLocalDate(startsAt, getTimezone(store))
+  const slot = [...generateSlots(store, addDays(day, -1)), ...generateSlots(store, day)].find(
+    (candidate) => candidate.startsAt.getTime() === startsAt.getTime(),
+  )
+  if (!slot) {
+    throw new ErrorResponse("Requested delivery time is not an available slot", 400)
+  }
+
+  try {
+    await DeliverySlot.updateOne(
+      { store: store._id, startsAt: slot.startsAt },
+      { $setOnInsert: { endsAt: slot.endsAt, capacity: getSlotCapacity(store) } },
+      { upsert: true },
+    )
+  } catch (error) {
+    // Another order created the slot concurrently
+    if (error.code !== 11000) throw error
+  }
+
+  const reserved = await DeliverySlot.findOneAndUpdate(
+    { store: store._id, startsAt: slot.startsAt, $expr: { $lt: ["$reserved", "$capacity"] } },
+    { $inc: { reserved: 1 }, $push: { orders: orderId } },
+    { new: true },
+  )
+  if (!reserved) {
+    throw new ErrorResponse("This delivery slot is full, please choose another one", 409)
+  }
+
+  return reserved
+}
+
+// Give back the capacity an order held in a slot
+const releaseSlot = (slotId, orderId) =>
+  DeliverySlot.updateOne({ _id: slotId, orders: orderId }, { $inc: { reserved: -1 }, $pull: { orders: orderId } })
+
+// Convert a cart's `scheduledDelivery` (date + "12:00-12:30" time slot in the store's timezone) to the slot start,
+// or null for ASAP
+const getScheduledTime = (store, scheduledDelivery) => {
+  if (!scheduledDelivery || !scheduledDelivery.date || !scheduledDelivery.timeSlot) return null
+  if (scheduledDelivery.timeSlot === "ASAP") return null
+
+  const date = new Date(scheduledDelivery.date)
+  const localDay = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+  return zonedTimeToDate(localDay, parseTime(scheduledDelivery.timeSlot.split("-")[0]), getTimezone(store))
+}
+
+module.exports = {
+  DAYS_AHEAD,
+  listAvailableSlots,
+  findNextAvailableSlot,
+  reserveSlot,
+  releaseSlot,
+  getScheduledTime,
+}
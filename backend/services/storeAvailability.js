@@ -0,0 +1,50 @@
+const Store = require("../models/Store")
+
+// Rooms told about a store's availability: its dashboard and the customers viewing it
+const availabilityRooms = (storeId) => [`store-${storeId}`, `store-view-${storeId}`]
+
+// Stop taking orders, for `minutes` or until resumed by hand, and tell browsing customers
+const pauseStore = async (store, { minutes, reason, io } = {}) => {
+  const pausedUntil = minutes ? new Date(Date.now() + minutes * 60 * 1000) : undefined
+
+  store.settings.acceptOrders = false
+  store.settings.pausedUntil = pausedUntil
+  store.settings.pauseReason = reason
+  await store.save()
+
+  if (io) {
+    io.to(availabilityRooms(store._id)).emit("store-paused", {
+      storeId: store._id,
+      pausedUntil: pausedUntil || null,
+      reason: reason || null,
+    })
+  }
+
+  return store
+}
+
+// Take orders again. Only acts on a store that is still paused, so a manual resume and the job cannot race.
+const resumeStore = async (storeId, { io, pausedUntil } = {}) => {
+  const filter = { _id: storeId, "settings.acceptOrders": false }
+  if (pausedUntil) filter["settings.pausedUntil"] = pausedUntil
+
+  const store = await Store.findOneAndUpdate(
+    filter,
+    {
+      $set: { "settings.acceptOrders": true },
+      $unset: { "settings.pausedUntil": "", "settings.pauseReason": "" },
+    },
+    { new: true },
+  )
+
+  if (store && io) {
+    io.to(availabilityRooms(store._id)).emit("store-resumed", { storeId: store._id })
+  }
+
+  return store
+}
+
+module.exports = {
+  pauseStore,
+  resumeStore,
+}
@@ -0,0 +1,48 @@
+const Order = require("../models/Order")
+const { transitionOrder } = require("./orderStatus")
+
+const HOUR = 60 * 60 * 1000
+
+// Orders the kitchen has accepted but not finished yet
+const getQueueDepth = (storeId) => Order.countDocuments({ store: storeId, status: { $in: ["confirmed", "preparing"] } })
+
+// Preparation estimate: the store's base time plus its share of the queue at the store's hourly throughput
+const estimatePreparationTime = async (store) => {
+  const queueDepth = await getQueueDepth(store._id)
+  const minutesPerOrder = 60 / store.settings.maxOrdersPerHour
+  return Math.round(store.settings.preparationTime + queueDepth * minutesPerOrder)
+}
+
+// Orders for now taken in the last hour against `settings.maxOrdersPerHour`.
+// Scheduled orders are paced by their slot capacity instead.
+const getHourlyLoad = async (store) => {
+  const count = await Order.countDocuments({
+    store: store._id,
+    createdAt: { $gte: new Date(Date.now() - HOUR) },
+    deliverySlot: { $exists: false },
+    status: { $ne: "cancelled" },
+  })
+  const limit = store.settings.maxOrdersPerHour
+  return { count, limit, atCapacity: count >= limit }
+}
+
+// Confirm a pending order straight away for stores with auto-accept on.
+// Failing here leaves the order pending for the store to accept by hand.
+const autoAcceptOrder = async (order, store, { io } = {}) => {
+  if (!store.settings.autoAcceptOrders || order.status !== "pending") return order
+
+  try {
+    order.timing.estimatedPreparation = await estimatePreparationTime(store)
+    await transitionOrder(order, "confirmed", { role: "system", reason: "Accepted automatically", io })
+  } catch (error) {
+    console.error(`Auto-accept order ${order._id} error:`, error)
+  }
+
+  return order
+}
+
+module.exports = {
+  estimatePreparationTime,
+  getHourlyLoad,
+  autoAcceptOrder,
+}
@@ -0,0 +1,39 @@
+const Order = require("../models/Order")
+const DriverStatus = require("../models/DriverStatus")
+const dispatchConfig = require("../config/dispatch")
+const platformPricing = require("../config/pricing")
+
+// Demand is re-counted at most this often; carts re-price on every change
+const CACHE_MS = 30 * 1000
+
+let cached = null
+
+// Orders waiting for a driver against online drivers free to take them
+const getDeliveryDemand = async () => {
+  const [waitingOrders, availableDrivers] = await Promise.all([
+    Order.countDocuments({ status: { $in: ["confirmed", "preparing", "ready"] }, driver: null }),
+    DriverStatus.countDocuments({
+      isOnline: true,
+      activeOrder: null,
+      lastLocationAt: { $gte: new Date(Date.now() - dispatchConfig.locationMaxAgeMinutes * 60 * 1000) },
+    }),
+  ])
+  return { waitingOrders, availableDrivers }
+}
+
+// Delivery fee multiplier: the surge multiplier while waiting orders per available driver exceed the threshold
+const getSurgeMultiplier = async () => {
+  if (cached && cached.expiresAt > Date.now()) return cached.multiplier
+
+  const { waitingOrders, availableDrivers } = await getDeliveryDemand()
+  const surging = waitingOrders > 0 && waitingOrders > platformPricing.surgeDemandRatio * availableDrivers
+  const multiplier = surging ? platformPricing.surgeMultiplier : 1
+
+  cached = { multiplier, expiresAt: Date.now() + CACHE_MS }
+  return multiplier
+}
+
+module.exports = {
+  getDeliveryDemand,
+  getSurgeMultiplier,
+}
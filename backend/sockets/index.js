@@ -0,0 +1,184 @@
+const mongoose = require("mongoose")
+const Order = require("../models/Order")
+const Store = require("../models/Store")
+const { getUserFromToken } = require("../middleware/auth")
+const { getOrderActorRole } = require("../services/orderStatus")
+const { updateDriverLocation } = require("../services/dispatch")
+const { trackDriverLocation } = require("../services/eta")
+const { recordBreadcrumb } = require("../services/deliveryRoute")
+
+// Minimum time between two location updates from the same driver connection
+const LOCATION_MIN_INTERVAL_MS = Number(process.env.SOCKET_LOCATION_MIN_INTERVAL_MS || 2000)
+
+// Statuses in which the assigned driver's position is shared with the order room
+const TRACKED_STATUSES = ["ready", "on_way"]
+
+// Time of the last accepted location update per user, shared by all of the user's connections so that
+// reconnecting or opening more sockets does not reset it. Dropped when the user's last connection closes.
+const lastLocationUpdate = new Map()
+// Open connections per user
+const connectionCounts = new Map()
+
+// Authenticate the handshake with the same JWT as the REST API (`auth.token` or a Bearer header)
+const authenticate = async (socket, next) => {
+  try {
+    const header = socket.handshake.headers.authorization
+    const token =
+      (socket.handshake.auth && socket.handshake.auth.token) ||
+      (header && header.startsWith("Bearer") ? header.split(" ")[1] : null)
+
+    if (!token) {
+      return next(new Error("Not authorized, no token provided"))
+    }
+
+    const user = await getUserFromToken(token)
+    if (!user) {
+      return next(new Error("Not authorized, user not found or inactive"))
+    }
+
+    socket.data.user = user
+    next()
+  } catch (error) {
+    next(new Error("Not authorized, token invalid"))
+  }
+}
+
+const isValidLocation = (location) =>
+  location &&
+  Number.isFinite(location.lat) &&
+  Number.isFinite(location.lng) &&
+  Math.abs(location.lat) <= 90 &&
+  Math.abs(location.lng) <= 180
+
+const registerSocketHandlers = (io) => {
+  io.use(authenticate)
+
+  io.on("connection", (socket) => {
+    const { user } = socket.data
+    console.log(`User connected: ${socket.id} (${user.id})`)
+    connectionCounts.set(user.id, (connectionCounts.get(user.id) || 0) + 1)
+
+    // Join room for order tracking: the customer, store owner, assigned driver or an admin
+    socket.on("join-order", async (orderId, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {}
+      try {
+        if (!mongoose.isValidObjectId(orderId)) {
+          return reply({ success: false, message: "Invalid order ID" })
+        }
+
+        const order = await Order.findById(orderId).select("customer store driver").populate("store", "owner")
+        if (!order || !getOrderActorRole(order, user)) {
+          return reply({ success: false, message: "Not authorized to follow this order" })
+        }
+
+        socket.join(`order-${orderId}`)
+        reply({ success: true })
+      } catch (error) {
+        console.error("Join order room error:", error)
+        reply({ success: false, message: "Server error" })
+      }
+    })
+
+    // Join room for store dashboard: the store owner or an admin
+    socket.on("join-store", async (storeId, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {}
+      try {
+        if (!mongoose.isValidObjectId(storeId)) {
+          return reply({ success: false, message: "Invalid store ID" })
+        }
+
+        const store = await Store.findById(storeId).select("owner")
+        if (!store || (store.owner.toString() !== user.id && user.role !== "admin")) {
+          return reply({ success: false, message: "Not authorized to follow this store" })
+        }
+
+        socket.join(`store-${storeId}`)
+        reply({ success: true })
+      } catch (error) {
+        console.error("Join store room error:", error)
+        reply({ success: false, message: "Server error" })
+      }
+    })
+
+    // Follow a store's availability (paused or resumed) while viewing it: any signed-in user
+    socket.on("view-store", (storeId, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {}
+      if (!mongoose.isValidObjectId(storeId)) {
+        return reply({ success: false, message: "Invalid store ID" })
+      }
+
+      socket.join(`store-view-${storeId}`)
+      reply({ success: true })
+    })
+
+    socket.on("leave-store-view", (storeId) => {
+      socket.leave(`store-view-${storeId}`)
+    })
+
+    // Join the authenticated driver's own room for dispatch offers
+    socket.on("join-driver", (driverId, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {}
+      if (user.role !== "delivery_driver") {
+        return reply({ success: false, message: "Only drivers receive dispatch offers" })
+      }
+
+      socket.join(`driver-${user.id}`)
+      reply({ success: true })
+    })
+
+    // Live location from the order's assigned driver, rate-limited, saved on the order with a new ETA
+    // and kept as a breadcrumb of the delivery route
+    socket.on("update-delivery-location", async (data, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {}
+      try {
+        const { orderId, location } = data || {}
+        if (!mongoose.isValidObjectId(orderId) || !isValidLocation(location)) {
+          return reply({ success: false, message: "Invalid location update" })
+        }
+
+        const now = Date.now()
+        if (now - (lastLocationUpdate.get(user.id) || 0) < LOCATION_MIN_INTERVAL_MS) {
+          return reply({ success: false, message: "Location updates are too frequent" })
+        }
+
+        const order = await Order.findOne({ _id: orderId, driver: user._id, status: { $in: TRACKED_STATUSES } })
+        if (!order) {
+          return reply({ success: false, message: "Not authorized to share a location for this order" })
+        }
+        // Only authorized updates count against the rate limit. Checked again as another of the user's
+        // connections may have been accepted while the order was loading.
+        if (now - (lastLocationUpdate.get(user.id) || 0) < LOCATION_MIN_INTERVAL_MS) {
+          return reply({ success: false, message: "Location updates are too frequent" })
+        }
+        lastLocationUpdate.set(user.id, now)
+
+        const driverLocation = await trackDriverLocation(order, location, io, new Date(now))
+        await recordBreadcrumb(order, user, driverLocation)
+        await updateDriverLocation(user, location)
+        socket.to(`order-${orderId}`).emit("delivery-location-updated", {
+          orderId,
+          lat: driverLocation.lat,
+          lng: driverLocation.lng,
+          updatedAt: driverLocation.updatedAt,
+        })
+        reply({ success: true })
+      } catch (error) {
+        console.error("Update delivery location error:", error)
+        reply({ success: false, message: "Server error" })
+      }
+    })
+
+    socket.on("disconnect", () => {
+      const connections = connectionCounts.get(user.id) - 1
+      if (connections > 0) {
+        connectionCounts.set(user.id, connections)
+      } else {
+        connectionCounts.delete(user.id)
+        lastLocationUpdate.delete(user.id)
+      }
+      console.log("User disconnected:", socket.id)
+    })
+  })
+}
+
+module.exports = { registerSocketHandlers }
@@ -0,0 +1,60 @@
+// Split one CSV line into fields, honouring double-quoted fields with "" escapes
+const parseCsvLine = (line) => {
+  const fields = []
+  let field = ""
+  let quoted = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      fields.push(field)
+      field = ""
+    } else {
+      field += char
+    }
+  }
+  fields.push(field)
+
+  return fields
+}
+
+// Parse CSV text with a header row into objects keyed by column name. Blank and # comment lines are skipped.
+const parseCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() && !line.startsWith("#"))
+  if (lines.length === 0) return []
+
+  const header = parseCsvLine(lines[0]).map((column) => column.trim())
+  return lines.slice(1).map((line) => {
+    const values = parseCsvLine(line)
+    return Object.fromEntries(header.map((column, index) => [column, (values[index] || "").trim()]))
+  })
+}
+
+// Quote a field when it holds a comma, quote or line break
+const formatCsvField = (value) => {
+  const text = value == null ? "" : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// CSV text with a header row from objects, one column per { key, label }
+const toCsv = (rows, columns) =>
+  [columns.map((column) => column.label), ...rows.map((row) => columns.map((column) => row[column.key]))]
+    .map((fields) => fields.map(formatCsvField).join(","))
+    .join("\r\n") + "\r\n"
+
+module.exports = {
+  parseCsvLine,
+  parseCsv,
+  toCsv,
+}
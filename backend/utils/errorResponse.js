@@ -0,0 +1,13 @@
+// Error carrying an HTTP status code, understood by the error handler and route catch blocks
+class ErrorResponse extends Error {
+  constructor(message, statusCode = 500, details) {
+    super(message)
+    this.name = "ErrorResponse"
+    this.statusCode = statusCode
+    if (details !== undefined) {
+      this.details = details
+    }
+  }
+}
+
+module.exports = ErrorResponse
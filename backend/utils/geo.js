@@ -0,0 +1,53 @@
+const EARTH_RADIUS_KM = 6371
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+// Great-circle distance in km between two { lat, lng } points
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat)
+  const dLng = toRadians(to.lng - from.lng)
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) * Math.sin(dLng / 2)
+
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+// GeoJSON [lng, lat] -> { lat, lng }
+const fromGeoJSON = ([lng, lat]) => ({ lat, lng })
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length === 2 &&
+  Number.isFinite(position[0]) &&
+  Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90
+
+// A closed linear ring: at least four positions, the last repeating the first
+const isLinearRing = (ring) =>
+  Array.isArray(ring) &&
+  ring.length >= 4 &&
+  ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] &&
+  ring[0][1] === ring[ring.length - 1][1]
+
+const isPolygonRings = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isLinearRing)
+
+// GeoJSON Polygon or MultiPolygon geometry with [lng, lat] positions
+const isPolygonGeometry = (geometry) => {
+  if (!geometry || typeof geometry !== "object") return false
+  if (geometry.type === "Polygon") return isPolygonRings(geometry.coordinates)
+  if (geometry.type === "MultiPolygon") {
+    const polygons = geometry.coordinates
+    return Array.isArray(polygons) && polygons.length > 0 && polygons.every(isPolygonRings)
+  }
+  return false
+}
+
+module.exports = {
+  distanceKm,
+  fromGeoJSON,
+  isPolygonGeometry,
+}
@@ -0,0 +1,223 @@
+const DAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+
+const DEFAULT_TIMEZONE = "America/Argentina/Tucuman"
+const MINUTES_PER_DAY = 24 * 60
+const LOOKAHEAD_DAYS = 14 // how far ahead to search for the next opening
+
+// "09:30" -> 570 minutes after midnight
+const parseTime = (time) => {
+  const [hours, minutes] = time.split(":").map(Number)
+  return hours * 60 + minutes
+}
+
+// "570" -> "09:30"
+const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`
+
+const formatters = new Map()
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+      }),
+    )
+  }
+  return formatters.get(timeZone)
+}
+
+const isValidTimezone = (timeZone) => {
+  try {
+    getFormatter(timeZone)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+const getTimezone = (store) => store.timezone || DEFAULT_TIMEZONE
+
+// Wall-clock calendar day and minutes after midnight of an instant in a timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = {}
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  }
+}
+
+// Calendar day ({ year, month, day }) of an instant in a timezone
+const getLocalDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone)
+  return { year, month, day }
+}
+
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days))
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+}
+
+// { year: 2024, month: 7, day: 9 } -> "2024-07-09"
+const toDateKey = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`
+
+// "2024-07-09" -> { year: 2024, month: 7, day: 9 }
+const parseDateKey = (key) => {
+  const [year, month, day] = key.split("-").map(Number)
+  return { year, month, day }
+}
+
+// Instant at which a local day plus minutes after its midnight happens in a timezone (minutes may pass 24h)
+const zonedTimeToDate = ({ year, month, day }, minutes, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes)
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(new Date(instant), timeZone)
+    return Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes) - instant
+  }
+
+  // The second pass corrects the guess when it falls on the other side of an offset change
+  const guess = wallClock - offsetAt(wallClock)
+  return new Date(wallClock - offsetAt(guess))
+}
+
+// Remove break windows from a [start, end] minute range
+const subtractBreaks = (start, end, breaks = []) => {
+  let ranges = [{ start, end }]
+
+  for (const pause of breaks) {
+    ranges = ranges.flatMap((range) => {
+      if (pause.end <= range.start || pause.start >= range.end) return [range]
+      const pieces = []
+      if (pause.start > range.start) pieces.push({ start: range.start, end: pause.start })
+      if (pause.end < range.end) pieces.push({ start: pause.end, end: range.end })
+      return pieces
+    })
+  }
+
+  return ranges
+}
+
+const getExceptions = (store, localDay) =>
+  (store.hoursExceptions || []).filter((entry) => entry.date === toDateKey(localDay))
+
+// Hours that apply to a local day: a closed or custom hours exception overrides the weekly schedule
+const getHoursForDay = (store, localDay, exceptions) => {
+  const override = exceptions.find((entry) => entry.type !== "paused")
+  if (override && override.type === "closed") return null
+  if (override && override.type === "custom_hours") {
+    return { isOpen: true, openTime: override.openTime, closeTime: override.closeTime, breaks: [] }
+  }
+
+  const weekday = DAYS[new Date(Date.UTC(localDay.year, localDay.month - 1, localDay.day)).getUTCDay()]
+  return (store.operatingHours || []).find((entry) => entry.day === weekday)
+}
+
+// Opening minute ranges of a local day. A close time at or before the open time is an overnight shift.
+// Breaks and paused windows are cut out; a pause without times closes the whole day.
+const getDayRanges = (store, localDay) => {
+  const exceptions = getExceptions(store, localDay)
+  const pauses = exceptions.filter((entry) => entry.type === "paused")
+  if (pauses.some((pause) => !pause.startTime || !pause.endTime)) return []
+
+  const hours = getHoursForDay(store, localDay, exceptions)
+  if (!hours || !hours.isOpen || !hours.openTime || !hours.closeTime) return []
+
+  const open = parseTime(hours.openTime)
+  let close = parseTime(hours.closeTime)
+  if (close <= open) close += MINUTES_PER_DAY
+
+  // Times earlier than the opening belong to the after-midnight part of the shift
+  const toShiftMinutes = (time) => {
+    const minutes = parseTime(time)
+    return minutes < open ? minutes + MINUTES_PER_DAY : minutes
+  }
+  const breaks = [...(hours.breaks || []), ...pauses]
+    .filter((pause) => pause.startTime && pause.endTime)
+    .map((pause) => ({ start: toShiftMinutes(pause.startTime), end: toShiftMinutes(pause.endTime) }))
+
+  return subtractBreaks(open, close, breaks).filter((range) => range.end > range.start)
+}
+
+// Opening intervals of a store for a local day ({ year, month, day }), as Date ranges
+const getOpeningIntervals = (store, localDay) => {
+  const timeZone = getTimezone(store)
+  return getDayRanges(store, localDay).map((range) => ({
+    start: zonedTimeToDate(localDay, range.start, timeZone),
+    end: zonedTimeToDate(localDay, range.end, timeZone),
+  }))
+}
+
+// Join intervals that overlap or touch, e.g. a shift running past midnight into the next day's opening
+const mergeIntervals = (intervals) =>
+  [...intervals]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, interval) => {
+      const last = merged[merged.length - 1]
+      if (last && interval.start <= last.end) {
+        if (interval.end > last.end) last.end = interval.end
+      } else {
+        merged.push({ ...interval })
+      }
+      return merged
+    }, [])
+
+// Reason given by today's closed or paused exception that applies at a local time, if any
+const getClosedReason = (store, localDay, minutes) => {
+  const exception = getExceptions(store, localDay).find(
+    (entry) =>
+      entry.type === "closed" ||
+      (entry.type === "paused" &&
+        (!entry.startTime || (parseTime(entry.startTime) <= minutes && minutes < parseTime(entry.endTime)))),
+  )
+  return exception ? exception.reason : undefined
+}
+
+// Whether a store is open at an instant, when it closes and when it next opens
+const getOpenStatus = (store, at = new Date()) => {
+  const { minutes, ...today } = getZonedParts(at, getTimezone(store))
+
+  const intervals = []
+  for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+    intervals.push(...getOpeningIntervals(store, addDays(today, offset)))
+  }
+  const merged = mergeIntervals(intervals)
+
+  const current = merged.find((interval) => interval.start <= at && at < interval.end)
+  if (current) {
+    return { isOpen: true, closesAt: current.end, nextOpenAt: null }
+  }
+
+  const next = merged.find((interval) => interval.start > at)
+  const reason = getClosedReason(store, today, minutes)
+  return { isOpen: false, closesAt: null, nextOpenAt: next ? next.start : null, ...(reason && { reason }) }
+}
+
+module.exports = {
+  DAYS,
+  DEFAULT_TIMEZONE,
+  parseTime,
+  formatTime,
+  isValidTimezone,
+  getTimezone,
+  getZonedParts,
+  getLocalDate,
+  addDays,
+  toDateKey,
+  parseDateKey,
+  zonedTimeToDate,
+  getOpeningIntervals,
+  getOpenStatus,
+}
@@ -22,6 +22,7 @@ export interface Address {
   id: string
   label: string
   street: string
+  number?: string
   city: string
   state: string
   zipCode: string
@@ -30,6 +31,11 @@ export interface Address {
     lng: number
   }
   isDefault: boolean
+  // Si las coordenadas coinciden con la dirección escrita
+  validation?: {
+    status: "verified" | "mismatch" | "unverified"
+    distanceMeters?: number
+  }
 }
 
 interface AuthContextType {
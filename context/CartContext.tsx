@@ -2,6 +2,8 @@
 
 import React, { createContext, useContext, useState, useEffect } from "react"
 import { useToast } from "@/hooks/use-toast"
+import { pricingAPI } from "@/lib/api"
+import { useLocation } from "./LocationContext"
 
 export interface CartItem {
   id: string
@@ -19,13 +21,35 @@ export interface CartItem {
   }
 }
 
+export interface PriceBreakdownLine {
+  code: string
+  label: string
+  amount: number
+}
+
 export interface CartSummary {
   subtotal: number
   deliveryFee: number
+  smallOrderFee: number
   serviceFee: number
+  tax: number
   discount: number
   total: number
   itemCount: number
+  breakdown: PriceBreakdownLine[]
+}
+
+interface PriceQuote {
+  subtotal: number
+  deliveryFee: number
+  smallOrderFee: number
+  surgeMultiplier: number
+  serviceFee: number
+  tax: number
+  discount: number
+  loyaltyDiscount: number
+  total: number
+  breakdown: PriceBreakdownLine[]
 }
 
 interface CartContextType {
@@ -47,6 +71,8 @@ export function CartProvider({ children }: { children: React.ReactNode }) {
   const [items, setItems] = useState<CartItem[]>([])
   const [storeId, setStoreId] = useState<string | null>(null)
   const [currentCoupon, setCurrentCoupon] = useState<string | null>(null)
+  const [quote, setQuote] = useState<PriceQuote | null>(null)
+  const { selectedDeliveryLocation } = useLocation()
   const { toast } = useToast()
 
   // Load cart from localStorage on mount
@@ -74,31 +100,68 @@ export function CartProvider({ children }: { children: React.ReactNode }) {
     }
   }, [items, storeId])
 
+  // Solicitar el precio al servidor, que aplica las mismas reglas que el pedido
+  const requestQuote = (couponCode: string | null) =>
+    pricingAPI.quote({
+      storeId,
+      items: items.map((item) => ({ productId: item.productId, quantity: item.quantity })),
+      deliveryAddress: selectedDeliveryLocation ? { coordinates: selectedDeliveryLocation.coordinates } : undefined,
+      couponCode: couponCode || undefined,
+    })
+
+  useEffect(() => {
+    if (!storeId || items.length === 0 || !localStorage.getItem("auth_token")) {
+      setQuote(null)
+      return
+    }
+
+    let cancelled = false
+    requestQuote(currentCoupon)
+      .then((response) => {
+        if (!cancelled) setQuote(response.data.data.quote)
+      })
+      .catch((error) => {
+        console.error("Price quote failed:", error)
+        if (!cancelled) setQuote(null)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [items, storeId, currentCoupon, selectedDeliveryLocation])
+
   // Calculate cart summary
   const summary: CartSummary = React.useMemo(() => {
     const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0)
-    const deliveryFee = subtotal > 0 ? 2.5 : 0
-    const serviceFee = subtotal * 0.05 // 5% service fee
-
-    let discount = 0
-    if (currentCoupon) {
-      // Simple coupon logic
-      if (currentCoupon === "FIRST10") discount = subtotal * 0.1
-      if (currentCoupon === "SAVE5") discount = 5
-    }
-
-    const total = Math.max(0, subtotal + deliveryFee + serviceFee - discount)
     const itemCount = items.reduce((sum, item) => sum + item.quantity, 0)
 
+    // Sin cotización del servidor solo se conoce el subtotal
+    if (!quote) {
+      return {
+        subtotal,
+        deliveryFee: 0,
+        smallOrderFee: 0,
+        serviceFee: 0,
+        tax: 0,
+        discount: 0,
+        total: subtotal,
+        itemCount,
+        breakdown: [],
+      }
+    }
+
     return {
-      subtotal,
-      deliveryFee,
-      serviceFee,
-      discount,
-      total,
+      subtotal: quote.subtotal,
+      deliveryFee: quote.deliveryFee,
+      smallOrderFee: quote.smallOrderFee,
+      serviceFee: quote.serviceFee,
+      tax: quote.tax,
+      discount: quote.discount + quote.loyaltyDiscount,
+      total: quote.total,
       itemCount,
+      breakdown: quote.breakdown,
     }
-  }, [items, currentCoupon])
+  }, [items, quote])
 
   const addItem = (newItem: Omit<CartItem, "id">) => {
     // Check if it's from the same store
@@ -170,31 +233,29 @@ export function CartProvider({ children }: { children: React.ReactNode }) {
 
   const applyCoupon = async (code: string): Promise<boolean> => {
     try {
-      // Simulate coupon validation
-      await new Promise((resolve) => setTimeout(resolve, 1000))
-
-      const validCoupons = ["FIRST10", "SAVE5", "WELCOME20"]
+      // Validar el cupón cotizando el carrito con él
+      const response = await requestQuote(code.toUpperCase())
 
-      if (validCoupons.includes(code.toUpperCase())) {
-        setCurrentCoupon(code.toUpperCase())
-        localStorage.setItem("cart_coupon", code.toUpperCase())
+      setCurrentCoupon(code.toUpperCase())
+      setQuote(response.data.data.quote)
+      localStorage.setItem("cart_coupon", code.toUpperCase())
 
-        toast({
-          title: "Cupón aplicado",
-          description: `El cupón ${code} ha sido aplicado correctamente`,
-        })
+      toast({
+        title: "Cupón aplicado",
+        description: `El cupón ${code} ha sido aplicado correctamente`,
+      })
 
-        return true
-      } else {
+      return true
+    } catch (error: any) {
+      if (error.response?.status === 400) {
         toast({
           title: "Cupón inválido",
-          description: "El cupón ingresado no es válido o ha expirado",
+          description: error.response.data?.message || "El cupón ingresado no es válido o ha expirado",
           variant: "destructive",
         })
-
         return false
       }
-    } catch (error) {
+
       toast({
         title: "Error",
         description: "No se pudo aplicar el cupón",
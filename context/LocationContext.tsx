@@ -3,6 +3,7 @@
 import type React from "react"
 import { createContext, useContext, useState, useEffect } from "react"
 import { useToast } from "@/hooks/use-toast"
+import { locationAPI } from "@/lib/api"
 
 export interface Location {
   lat: number
@@ -144,7 +145,8 @@ export function LocationProvider({ children }: { children: React.ReactNode }) {
     return Math.round(baseTime + distance * timePerKm)
   }
 
-  // Calcular costo de envío
+  // Estimación de costo de envío para mostrar antes de cotizar. El costo real lo calcula el servidor
+  // (zonas, tramos por distancia, alta demanda y envío gratis) y llega en el desglose de la cotización.
   const calculateDeliveryCost = (distance: number): number => {
     const baseCost = 2.5 // Costo base
     const costPerKm = 0.75 // Costo por km
@@ -163,25 +165,20 @@ export function LocationProvider({ children }: { children: React.ReactNode }) {
     return distance <= coverageRadius
   }
 
+  // Convertir un resultado del servidor al formato del contexto
+  const toLocationInfo = (result: any): LocationInfo => ({
+    coordinates: result.coordinates,
+    address: result.address,
+    city: result.city,
+    state: result.state,
+    country: result.country,
+  })
+
   // Geocodificar dirección (convertir dirección a coordenadas)
   const geocodeAddress = async (address: string): Promise<LocationInfo | null> => {
     try {
-      // Simular geocoding API
-      await new Promise((resolve) => setTimeout(resolve, 500))
-
-      // Coordenadas simuladas para Buenos Aires
-      const mockLocation: LocationInfo = {
-        coordinates: {
-          lat: -34.6037 + (Math.random() - 0.5) * 0.1,
-          lng: -58.3816 + (Math.random() - 0.5) * 0.1,
-        },
-        address,
-        city: "Buenos Aires",
-        state: "CABA",
-        country: "Argentina",
-      }
-
-      return mockLocation
+      const response = await locationAPI.geocode(address)
+      return toLocationInfo(response.data.data.location)
     } catch (error) {
       console.error("Error geocoding address:", error)
       return null
@@ -191,18 +188,8 @@ export function LocationProvider({ children }: { children: React.ReactNode }) {
   // Geocodificación inversa (convertir coordenadas a dirección)
   const reverseGeocode = async (coordinates: Location): Promise<LocationInfo | null> => {
     try {
-      // Simular reverse geocoding API
-      await new Promise((resolve) => setTimeout(resolve, 500))
-
-      const mockLocation: LocationInfo = {
-        coordinates,
-        address: `Calle ${Math.floor(Math.random() * 1000)} ${Math.floor(Math.random() * 100)}`,
-        city: "Buenos Aires",
-        state: "CABA",
-        country: "Argentina",
-      }
-
-      return mockLocation
+      const response = await locationAPI.reverse(coordinates.lat, coordinates.lng)
+      return { ...toLocationInfo(response.data.data.location), coordinates }
     } catch (error) {
       console.error("Error reverse geocoding:", error)
       return null
@@ -14,9 +14,15 @@ interface MapProps {
   onLocationSelect?: (location: Location) => void
   showCurrentLocation?: boolean
   showStores?: boolean
+  route?: Location[]
+  routeStops?: RouteStop[]
   className?: string
 }
 
+interface RouteStop extends Location {
+  durationSeconds: number
+}
+
 interface MapMarker {
   id: string
   position: Location
@@ -32,6 +38,8 @@ export function InteractiveMap({
   onLocationSelect,
   showCurrentLocation = true,
   showStores = false,
+  route = [],
+  routeStops = [],
   className = "",
 }: MapProps) {
   const mapRef = useRef<HTMLDivElement>(null)
@@ -64,6 +72,23 @@ export function InteractiveMap({
     onLocationSelect(newLocation)
   }
 
+  // Proyectar el recorrido del repartidor dentro del mapa (porcentajes con margen)
+  const projectRoute = () => {
+    const points = [...route, ...routeStops]
+    const lats = points.map((point) => point.lat)
+    const lngs = points.map((point) => point.lng)
+    const minLat = Math.min(...lats)
+    const minLng = Math.min(...lngs)
+    const latSpan = Math.max(...lats) - minLat || 1
+    const lngSpan = Math.max(...lngs) - minLng || 1
+
+    return (point: Location) => ({
+      x: 10 + ((point.lng - minLng) / lngSpan) * 80,
+      y: 10 + (1 - (point.lat - minLat) / latSpan) * 80,
+    })
+  }
+  const project = route.length > 1 ? projectRoute() : null
+
   const handleGetCurrentLocation = async () => {
     setIsLoading(true)
     try {
@@ -96,6 +121,34 @@ export function InteractiveMap({
             ))}
           </div>
 
+          {/* Recorrido del repartidor */}
+          {project && (
+            <svg className="absolute inset-0 w-full h-full z-0" viewBox="0 0 100 100" preserveAspectRatio="none">
+              <polyline
+                points={route.map((point) => `${project(point).x},${project(point).y}`).join(" ")}
+                fill="none"
+                stroke="#3b82f6"
+                strokeWidth="3"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                vectorEffect="non-scaling-stroke"
+              />
+            </svg>
+          )}
+
+          {/* Paradas del repartidor */}
+          {project &&
+            routeStops.map((stop, index) => (
+              <div
+                key={`stop-${index}`}
+                className="absolute transform -translate-x-1/2 -translate-y-1/2 z-10"
+                style={{ left: `${project(stop).x}%`, top: `${project(stop).y}%` }}
+                title={`Parada de ${Math.round(stop.durationSeconds / 60)} min`}
+              >
+                <div className="w-3 h-3 bg-orange-500 rounded-full border-2 border-white shadow" />
+              </div>
+            ))}
+
           {/* Marcador de ubicación actual */}
           {showCurrentLocation && currentLocation && (
             <div
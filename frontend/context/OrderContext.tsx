@@ -1,33 +1,41 @@
 "use client"
 
 import type React from "react"
-import { createContext, useContext, useState, useEffect } from "react"
+import { createContext, useContext, useState, useEffect, useCallback } from "react"
 import { useToast } from "@/hooks/use-toast"
-import type { CartItem } from "./CartContext"
+import { ordersAPI } from "@/lib/api"
+import { socketService } from "@/lib/socket"
+import type { CartItem, PriceBreakdownLine } from "./CartContext"
 import type { Location } from "./LocationContext"
 
 export interface Order {
   id: string
+  orderNumber: string
   userId: string
   storeId: string
   storeName: string
   items: CartItem[]
-  status: "pending" | "confirmed" | "preparing" | "on_way" | "delivered" | "cancelled"
+  status: "awaiting_payment" | "scheduled" | "pending" | "confirmed" | "preparing" | "ready" | "on_way" | "delivered" | "delivery_failed" | "cancelled" | "refunded"
   deliveryAddress: {
     street: string
     city: string
     coordinates: Location
   }
-  paymentMethod: "card" | "cash" | "paypal"
+  paymentMethod: "card" | "cash" | "digital_wallet"
+  paymentStatus: "pending" | "authorized" | "paid" | "failed" | "voided" | "refunded"
   summary: {
     subtotal: number
     deliveryFee: number
+    smallOrderFee: number
     serviceFee: number
     discount: number
     total: number
+    breakdown: PriceBreakdownLine[]
   }
   estimatedDeliveryTime: number
   actualDeliveryTime?: number
+  scheduledFor?: string
+  deliveryPin?: string
   driverInfo?: {
     name: string
     phone: string
@@ -40,14 +48,49 @@ export interface Order {
   review?: string
 }
 
+export interface OrderFilters {
+  status?: Order["status"][]
+  paymentStatus?: Order["paymentStatus"]
+  storeId?: string
+  from?: string
+  to?: string
+  view?: "customer"
+}
+
+export interface CreateOrderData {
+  storeId: string
+  items: {
+    productId: string
+    quantity: number
+    options?: { name: string; choice: string }[]
+    specialInstructions?: string
+  }[]
+  deliveryAddress: {
+    street: string
+    city: string
+    state?: string
+    zipCode?: string
+    coordinates: Location
+    instructions?: string
+  }
+  paymentMethod: Order["paymentMethod"]
+  contactInfo: { phone: string; email?: string }
+  specialInstructions?: string
+  couponCode?: string
+  scheduledFor?: string
+}
+
 interface OrderContextType {
   orders: Order[]
   activeOrder: Order | null
   isLoading: boolean
-  createOrder: (orderData: Omit<Order, "id" | "createdAt" | "updatedAt">) => Promise<string | null>
+  hasMore: boolean
+  refreshOrders: (filters?: OrderFilters) => Promise<void>
+  loadMoreOrders: () => Promise<void>
+  createOrder: (orderData: CreateOrderData) => Promise<string | null>
   getOrderById: (orderId: string) => Order | null
   updateOrderStatus: (orderId: string, status: Order["status"]) => void
-  cancelOrder: (orderId: string) => Promise<boolean>
+  cancelOrder: (orderId: string, reason?: string) => Promise<boolean>
   rateOrder: (orderId: string, rating: number, review?: string) => Promise<boolean>
   trackOrder: (orderId: string) => Order | null
   getOrderHistory: () => Order[]
@@ -56,92 +99,171 @@ interface OrderContextType {
 
 const OrderContext = createContext<OrderContextType | undefined>(undefined)
 
+const FINISHED_STATUSES: Order["status"][] = ["delivered", "delivery_failed", "cancelled", "refunded"]
+
+// Convertir una orden de la API al formato usado en el frontend
+const mapApiOrder = (apiOrder: any): Order => {
+  const storeId = apiOrder.store?._id || apiOrder.store
+  const storeName = apiOrder.store?.name || ""
+
+  return {
+    id: apiOrder._id,
+    orderNumber: apiOrder.orderNumber,
+    userId: apiOrder.customer?._id || apiOrder.customer,
+    storeId,
+    storeName,
+    items: (apiOrder.items || []).map((item: any) => ({
+      id: item._id,
+      productId: item.product?._id || item.product,
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity,
+      image: item.product?.images?.[0]?.url,
+      storeId,
+      storeName,
+    })),
+    status: apiOrder.status,
+    scheduledFor: apiOrder.timing?.requestedDeliveryTime,
+    deliveryPin: apiOrder.deliveryPin,
+    deliveryAddress: {
+      street: apiOrder.deliveryAddress?.street,
+      city: apiOrder.deliveryAddress?.city,
+      coordinates: apiOrder.deliveryAddress?.coordinates,
+    },
+    paymentMethod: apiOrder.paymentInfo?.method,
+    paymentStatus: apiOrder.paymentInfo?.status,
+    summary: {
+      subtotal: apiOrder.pricing?.subtotal || 0,
+      deliveryFee: apiOrder.pricing?.deliveryFee || 0,
+      smallOrderFee: apiOrder.pricing?.smallOrderFee || 0,
+      serviceFee: apiOrder.pricing?.serviceFee || 0,
+      discount: apiOrder.pricing?.discount || 0,
+      total: apiOrder.pricing?.total || 0,
+      breakdown: apiOrder.pricing?.breakdown || [],
+    },
+    estimatedDeliveryTime:
+      (apiOrder.timing?.estimatedPreparation || 0) + (apiOrder.timing?.estimatedDelivery || 0),
+    driverInfo: apiOrder.driver
+      ? {
+          name: apiOrder.driver.name,
+          phone: apiOrder.driver.phone,
+          location: apiOrder.driverLocation,
+        }
+      : undefined,
+    createdAt: apiOrder.createdAt,
+    updatedAt: apiOrder.updatedAt,
+    notes: apiOrder.specialInstructions,
+    rating: apiOrder.rating?.overall,
+    review: apiOrder.rating?.comment,
+  }
+}
+
 export function OrderProvider({ children }: { children: React.ReactNode }) {
   const [orders, setOrders] = useState<Order[]>([])
   const [activeOrder, setActiveOrder] = useState<Order | null>(null)
   const [isLoading, setIsLoading] = useState(false)
+  const [filters, setFilters] = useState<OrderFilters>({})
+  const [nextCursor, setNextCursor] = useState<string | null>(null)
   const { toast } = useToast()
 
-  // Cargar órdenes del localStorage al iniciar
-  useEffect(() => {
-    const savedOrders = localStorage.getItem("user_orders")
-    if (savedOrders) {
-      const parsedOrders = JSON.parse(savedOrders)
-      setOrders(parsedOrders)
+  const fetchOrders = useCallback(async (currentFilters: OrderFilters, cursor?: string | null) => {
+    const response = await ordersAPI.getOrders({
+      ...currentFilters,
+      status: currentFilters.status?.join(","),
+      cursor: cursor || undefined,
+    })
+    const { orders: apiOrders, pagination } = response.data.data
+    setNextCursor(pagination.nextCursor)
+    return (apiOrders as any[]).map(mapApiOrder)
+  }, [])
+
+  const refreshOrders = async (newFilters: OrderFilters = filters) => {
+    try {
+      setIsLoading(true)
+      setFilters(newFilters)
+      const loadedOrders = await fetchOrders(newFilters)
+      setOrders(loadedOrders)
 
       // Buscar orden activa (no entregada ni cancelada)
-      const active = parsedOrders.find((order: Order) => !["delivered", "cancelled"].includes(order.status))
+      const active = loadedOrders.find((order) => !FINISHED_STATUSES.includes(order.status))
       setActiveOrder(active || null)
+    } catch (error) {
+      console.error("Load orders failed:", error)
+    } finally {
+      setIsLoading(false)
     }
-  }, [])
+  }
+
+  const loadMoreOrders = async () => {
+    if (!nextCursor) return
 
-  // Guardar órdenes en localStorage cuando cambien
+    try {
+      setIsLoading(true)
+      const loadedOrders = await fetchOrders(filters, nextCursor)
+      setOrders((prev) => [...prev, ...loadedOrders])
+    } catch (error) {
+      console.error("Load more orders failed:", error)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // Cargar órdenes desde la API al iniciar
   useEffect(() => {
-    localStorage.setItem("user_orders", JSON.stringify(orders))
-  }, [orders])
+    if (localStorage.getItem("auth_token")) {
+      refreshOrders({})
+    }
+  }, [])
 
-  // Simular actualizaciones de estado en tiempo real
+  // Escuchar actualizaciones de estado en tiempo real de la orden activa
   useEffect(() => {
     if (!activeOrder) return
 
-    const statusFlow: Order["status"][] = ["pending", "confirmed", "preparing", "on_way", "delivered"]
-    const currentIndex = statusFlow.indexOf(activeOrder.status)
-
-    if (currentIndex < statusFlow.length - 1) {
-      const timer = setTimeout(() => {
-        const nextStatus = statusFlow[currentIndex + 1]
-        updateOrderStatus(activeOrder.id, nextStatus)
+    const statusMessages: Partial<Record<Order["status"], string>> = {
+      pending: "Tu pedido programado fue enviado al comercio",
+      confirmed: "Tu pedido ha sido confirmado",
+      preparing: "Tu pedido se está preparando",
+      ready: "Tu pedido está listo",
+      on_way: "Tu pedido está en camino",
+      delivered: "Tu pedido ha sido entregado",
+      delivery_failed: "No pudimos entregar tu pedido",
+      cancelled: "Tu pedido ha sido cancelado",
+    }
 
-        const statusMessages = {
-          confirmed: "Tu pedido ha sido confirmado",
-          preparing: "Tu pedido se está preparando",
-          on_way: "Tu pedido está en camino",
-          delivered: "Tu pedido ha sido entregado",
-        }
+    socketService.connect()
+    socketService.joinOrderRoom(activeOrder.id)
+    socketService.onOrderStatusUpdate((data: { orderId: string; status: Order["status"] }) => {
+      updateOrderStatus(data.orderId, data.status)
 
-        toast({
-          title: "Estado del pedido actualizado",
-          description: statusMessages[nextStatus as keyof typeof statusMessages],
-        })
-      }, 30000) // Cambiar estado cada 30 segundos para demo
+      toast({
+        title: "Estado del pedido actualizado",
+        description: statusMessages[data.status],
+      })
+    })
 
-      return () => clearTimeout(timer)
-    }
-  }, [activeOrder])
+    return () => socketService.offOrderStatusUpdate()
+  }, [activeOrder?.id])
 
-  const createOrder = async (orderData: Omit<Order, "id" | "createdAt" | "updatedAt">): Promise<string | null> => {
+  const createOrder = async (orderData: CreateOrderData): Promise<string | null> => {
     try {
       setIsLoading(true)
 
-      // Simular creación de orden
-      await new Promise((resolve) => setTimeout(resolve, 1000))
-
-      const orderId = `order_${Date.now()}`
-      const newOrder: Order = {
-        ...orderData,
-        id: orderId,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        driverInfo: {
-          name: "Juan Pérez",
-          phone: "+1234567890",
-          location: { lat: -34.6037, lng: -58.3816 },
-        },
-      }
+      const response = await ordersAPI.createOrder(orderData)
+      const newOrder = mapApiOrder(response.data.data.order)
 
       setOrders((prev) => [newOrder, ...prev])
       setActiveOrder(newOrder)
 
       toast({
         title: "Pedido creado",
-        description: `Tu pedido #${orderId.slice(-6)} ha sido creado exitosamente`,
+        description: `Tu pedido #${newOrder.orderNumber} ha sido creado exitosamente`,
       })
 
-      return orderId
-    } catch (error) {
+      return newOrder.id
+    } catch (error: any) {
       toast({
         title: "Error",
-        description: "No se pudo crear el pedido",
+        description: error.response?.data?.message || "No se pudo crear el pedido",
         variant: "destructive",
       })
       return null
@@ -164,19 +286,19 @@ export function OrderProvider({ children }: { children: React.ReactNode }) {
       setActiveOrder((prev) => (prev ? { ...prev, status } : null))
 
       // Si la orden fue entregada o cancelada, limpiar orden activa
-      if (["delivered", "cancelled"].includes(status)) {
+      if (FINISHED_STATUSES.includes(status)) {
         setActiveOrder(null)
       }
     }
   }
 
-  const cancelOrder = async (orderId: string): Promise<boolean> => {
+  const cancelOrder = async (orderId: string, reason?: string): Promise<boolean> => {
     try {
       const order = getOrderById(orderId)
       if (!order) return false
 
-      // Solo se puede cancelar si está en estado pending o confirmed
-      if (!["pending", "confirmed"].includes(order.status)) {
+      // Solo se puede cancelar si está programado, pending o confirmed
+      if (!["scheduled", "pending", "confirmed"].includes(order.status)) {
         toast({
           title: "No se puede cancelar",
           description: "El pedido ya está siendo preparado",
@@ -185,6 +307,7 @@ export function OrderProvider({ children }: { children: React.ReactNode }) {
         return false
       }
 
+      await ordersAPI.cancelOrder(orderId, reason)
       updateOrderStatus(orderId, "cancelled")
 
       toast({
@@ -193,10 +316,10 @@ export function OrderProvider({ children }: { children: React.ReactNode }) {
       })
 
       return true
-    } catch (error) {
+    } catch (error: any) {
       toast({
         title: "Error",
-        description: "No se pudo cancelar el pedido",
+        description: error.response?.data?.message || "No se pudo cancelar el pedido",
         variant: "destructive",
       })
       return false
@@ -205,6 +328,8 @@ export function OrderProvider({ children }: { children: React.ReactNode }) {
 
   const rateOrder = async (orderId: string, rating: number, review?: string): Promise<boolean> => {
     try {
+      await ordersAPI.rateOrder(orderId, { food: rating, delivery: rating, comment: review })
+
       setOrders((prev) =>
         prev.map((order) =>
           order.id === orderId ? { ...order, rating, review, updatedAt: new Date().toISOString() } : order,
@@ -232,7 +357,7 @@ export function OrderProvider({ children }: { children: React.ReactNode }) {
   }
 
   const getOrderHistory = (): Order[] => {
-    return orders.filter((order) => ["delivered", "cancelled"].includes(order.status))
+    return orders.filter((order) => FINISHED_STATUSES.includes(order.status))
   }
 
   const reorder = async (orderId: string): Promise<boolean> => {
@@ -240,21 +365,23 @@ export function OrderProvider({ children }: { children: React.ReactNode }) {
       const originalOrder = getOrderById(orderId)
       if (!originalOrder) return false
 
+      const response = await ordersAPI.getOrder(orderId)
+      const apiOrder = response.data.data.order
+
       // Crear nueva orden basada en la original
-      const newOrderData: Omit<Order, "id" | "createdAt" | "updatedAt"> = {
-        userId: originalOrder.userId,
+      const newOrderId = await createOrder({
         storeId: originalOrder.storeId,
-        storeName: originalOrder.storeName,
-        items: originalOrder.items,
-        status: "pending",
-        deliveryAddress: originalOrder.deliveryAddress,
+        items: apiOrder.items.map((item: any) => ({
+          productId: item.product?._id || item.product,
+          quantity: item.quantity,
+          options: item.options?.map((option: any) => ({ name: option.name, choice: option.choice })),
+          specialInstructions: item.specialInstructions,
+        })),
+        deliveryAddress: apiOrder.deliveryAddress,
         paymentMethod: originalOrder.paymentMethod,
-        summary: originalOrder.summary,
-        estimatedDeliveryTime: originalOrder.estimatedDeliveryTime,
-        notes: originalOrder.notes,
-      }
-
-      const newOrderId = await createOrder(newOrderData)
+        contactInfo: apiOrder.contactInfo,
+        specialInstructions: originalOrder.notes,
+      })
       return newOrderId !== null
     } catch (error) {
       toast({
@@ -272,6 +399,9 @@ export function OrderProvider({ children }: { children: React.ReactNode }) {
         orders,
         activeOrder,
         isLoading,
+        hasMore: nextCursor !== null,
+        refreshOrders,
+        loadMoreOrders,
         createOrder,
         getOrderById,
         updateOrderStatus,
@@ -10,6 +10,8 @@ class SocketService {
       this.socket = io(SOCKET_URL, {
         transports: ["websocket"],
         autoConnect: true,
+        // Same JWT as the REST API, read on every (re)connection
+        auth: (cb) => cb({ token: localStorage.getItem("auth_token") }),
       })
 
       this.socket.on("connect", () => {
@@ -51,6 +53,62 @@ class SocketService {
       this.socket.off("order-status-updated")
     }
   }
+
+  onEtaUpdate(
+    callback: (data: { orderId: string; status: string; eta: string; remainingMinutes: number; timestamp: string }) => void,
+  ) {
+    if (this.socket) {
+      this.socket.on("eta-updated", callback)
+    }
+  }
+
+  offEtaUpdate() {
+    if (this.socket) {
+      this.socket.off("eta-updated")
+    }
+  }
+
+  onPaymentUpdate(callback: (data: { orderId: string; paymentStatus: string; status: string }) => void) {
+    if (this.socket) {
+      this.socket.on("payment-updated", callback)
+    }
+  }
+
+  offPaymentUpdate() {
+    if (this.socket) {
+      this.socket.off("payment-updated")
+    }
+  }
+
+  // Receive a store's pause and resume events while its page is open
+  viewStore(storeId: string) {
+    if (this.socket) {
+      this.socket.emit("view-store", storeId)
+    }
+  }
+
+  leaveStoreView(storeId: string) {
+    if (this.socket) {
+      this.socket.emit("leave-store-view", storeId)
+    }
+  }
+
+  onStoreAvailabilityChange(
+    onPaused: (data: { storeId: string; pausedUntil: string | null; reason: string | null }) => void,
+    onResumed: (data: { storeId: string }) => void,
+  ) {
+    if (this.socket) {
+      this.socket.on("store-paused", onPaused)
+      this.socket.on("store-resumed", onResumed)
+    }
+  }
+
+  offStoreAvailabilityChange() {
+    if (this.socket) {
+      this.socket.off("store-paused")
+      this.socket.off("store-resumed")
+    }
+  }
 }
 
 export const socketService = new SocketService()
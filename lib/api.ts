@@ -48,19 +48,46 @@ export const authAPI = {
   changePassword: (data: any) => api.put("/auth/change-password", data),
 }
 
+export const usersAPI = {
+  getAddresses: () => api.get("/users/addresses"),
+  validateAddress: (address: any) => api.post("/users/addresses/validate", address),
+  addAddress: (address: any) => api.post("/users/addresses", address),
+  updateAddress: (id: string, address: any) => api.put(`/users/addresses/${id}`, address),
+  deleteAddress: (id: string) => api.delete(`/users/addresses/${id}`),
+}
+
 export const storesAPI = {
   getStores: (params?: any) => api.get("/stores", { params }),
   getStore: (id: string) => api.get(`/stores/${id}`),
   createStore: (data: any) => api.post("/stores", data),
   updateStore: (id: string, data: any) => api.put(`/stores/${id}`, data),
   getFeatured: () => api.get("/stores/featured/list"),
+  getPayouts: (id: string) => api.get(`/stores/${id}/payouts`),
+  getPayout: (id: string, statementId: string) => api.get(`/stores/${id}/payouts/${statementId}`),
+  // Download a payout statement as a CSV or PDF file
+  downloadPayout: (id: string, statementId: string, format: "csv" | "pdf") =>
+    api.get(`/stores/${id}/payouts/${statementId}`, { params: { format }, responseType: "blob" }),
 }
 
 export const ordersAPI = {
   createOrder: (data: any) => api.post("/orders", data),
   getOrders: (params?: any) => api.get("/orders", { params }),
   getOrder: (id: string) => api.get(`/orders/${id}`),
+  getOrderRoute: (id: string) => api.get(`/orders/${id}/route`),
   updateOrderStatus: (id: string, status: string) => api.put(`/orders/${id}/status`, { status }),
   cancelOrder: (id: string, reason?: string) => api.put(`/orders/${id}/cancel`, { reason }),
   rateOrder: (id: string, rating: any) => api.post(`/orders/${id}/rate`, rating),
+  refundOrder: (id: string, data: any) => api.post(`/orders/${id}/refunds`, data),
+  getOrderRefunds: (id: string) => api.get(`/orders/${id}/refunds`),
+}
+
+export const locationAPI = {
+  geocode: (address: string) => api.post("/location/geocode", { address }),
+  reverse: (lat: number, lng: number) => api.post("/location/reverse", { lat, lng }),
+  autocomplete: (q: string, near?: { lat: number; lng: number }) =>
+    api.get("/location/autocomplete", { params: { q, ...near } }),
+}
+
+export const pricingAPI = {
+  quote: (data: any) => api.post("/pricing/quote", data),
 }